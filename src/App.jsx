@@ -2,6 +2,7 @@ import { useEffect, useState } from 'react';
 import { pythonService } from './services/PythonService';
 import CodeEditor from './components/CodeEditor';
 import AlgorithmVisualizer from './components/AlgorithmVisualizer';
+import ShortcutHelp from './components/ui/ShortcutHelp';
 
 const App = () => {
   const [code, setCode] = useState('');
@@ -25,6 +26,8 @@ const App = () => {
           </div>
         </div>
       </main>
+
+      <ShortcutHelp />
     </div>
   );
 };
@@ -1,17 +1,35 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { Terminal, Maximize2, Minimize2 } from 'lucide-react';
 import { usePythonStore } from '../services/PythonService';
 import PythonTutorViz from './PythonTutorViz';
 import ExecutionControls from './ExecutionControls';
 import ComplexityDisplay from './ComplexityDisplay';
 import AlgorithmExplanation from './ui/AlgorithmExplanation';
+import StepChangesSummary from './ui/StepChangesSummary';
+import RecursionTree from './ui/RecursionTree';
+import VariableTimeline from './ui/VariableTimeline';
+import WatchPanel from './ui/WatchPanel';
 import ErrorBoundary from './ErrorBoundary';
 import { analyzeComplexity } from '../utils/ComplexityAnalyzer';
 
 // Output panel component to display console output
 const OutputPanel = () => {
-    const { executionState, error } = usePythonStore();
+    const { executionState, executionSteps, currentStepIndex, error } = usePythonStore();
     const output = executionState?.output || '';
+    const outputRef = useRef(null);
+
+    // Split off the text that appeared since the previous step so it can be highlighted
+    const previousOutput = currentStepIndex > 0 ? executionSteps[currentStepIndex - 1]?.output || '' : '';
+    const isAppended = output.startsWith(previousOutput);
+    const earlierOutput = isAppended ? previousOutput : '';
+    const newOutput = isAppended ? output.slice(previousOutput.length) : output;
+
+    // Keep the latest output in view as the console grows
+    useEffect(() => {
+        if (outputRef.current) {
+            outputRef.current.scrollTop = outputRef.current.scrollHeight;
+        }
+    }, [output]);
 
     // Check for any type of error message
     const hasError = output.includes('Error:') || output.includes('KeyError:') || error;
@@ -50,10 +68,18 @@ const OutputPanel = () => {
 
                 <div className="relative">
                     <pre
+                        ref={outputRef}
                         className={`min-h-[80px] max-h-[120px] p-4 ${outputClasses} 
                                   border rounded-lg font-mono text-sm overflow-y-auto whitespace-pre-wrap`}
                     >
-                        {hasError ? errorMessage : (output || 'No output yet')}
+                        {hasError ? errorMessage : (output ? (
+                            <>
+                                {earlierOutput}
+                                {newOutput && (
+                                    <span className="bg-yellow-100 rounded-sm">{newOutput}</span>
+                                )}
+                            </>
+                        ) : 'No output yet')}
                     </pre>
 
                     {/* Empty state placeholder */}
@@ -89,9 +115,21 @@ const useFullScreenMode = () => {
 };
 
 // Header component with title and fullscreen toggle
-const VisualizerHeader = ({ isFullScreen, toggleFullScreen }) => (
+const VisualizerHeader = ({ isFullScreen, toggleFullScreen, isOutdated }) => (
     <div className="bg-white p-4 border-b border-gray-200 flex justify-between items-center">
-        <h2 className="text-lg font-semibold text-gray-800">Visualization</h2>
+        <div className="flex items-center space-x-3">
+            <h2 className="text-lg font-semibold text-gray-800">Visualization</h2>
+
+            {/* The trace kept while editing belongs to the code as it was when it ran */}
+            {isOutdated && (
+                <span
+                    className="px-2.5 py-0.5 text-xs font-medium text-amber-700 bg-amber-50 border border-amber-200 rounded-full"
+                    title="The code has been edited since this run; run it again to trace the changes"
+                >
+                    Last run · code edited since
+                </span>
+            )}
+        </div>
 
         <button
             onClick={toggleFullScreen}
@@ -154,13 +192,14 @@ const useComplexityAnalysis = (code) => {
 };
 
 const AlgorithmVisualizer = ({ code }) => {
-    const { executionState, executionSteps } = usePythonStore();
+    const { executionState, executionSteps, tracedCode } = usePythonStore();
     const [isFullScreen, toggleFullScreen] = useFullScreenMode();
     const { complexityAnalysis, analysisComplete } = useComplexityAnalysis(code);
 
     // Check if we have execution data to display
     const hasData = executionState && (executionState.frame || executionState.frames);
     const hasMultipleSteps = executionSteps?.length > 1;
+    const isOutdated = hasMultipleSteps && tracedCode !== null && tracedCode !== code;
 
     // Compute container class dynamically
     const containerClass = isFullScreen
@@ -172,6 +211,7 @@ const AlgorithmVisualizer = ({ code }) => {
             <VisualizerHeader
                 isFullScreen={isFullScreen}
                 toggleFullScreen={toggleFullScreen}
+                isOutdated={isOutdated}
             />
 
             <OutputPanel />
@@ -193,13 +233,27 @@ const AlgorithmVisualizer = ({ code }) => {
                 </div>
             )}
 
-            <div className="flex-1 min-h-0 overflow-auto border-b border-gray-200 w-full">
-                <ErrorBoundary>
-                    <PythonTutorViz />
-                </ErrorBoundary>
+            {/* What the current step changed, above the canvas that highlights it */}
+            {hasData && hasMultipleSteps && <StepChangesSummary />}
+
+            {/* The recursion tree sits beside the canvas and only shows up for recursive runs */}
+            <div className="flex-1 min-h-0 flex border-b border-gray-200 w-full">
+                <div className="flex-1 min-w-0 overflow-auto">
+                    <ErrorBoundary>
+                        <PythonTutorViz />
+                    </ErrorBoundary>
+                </div>
+
+                {hasData && hasMultipleSteps && <RecursionTree />}
             </div>
 
             <ExecutionControls />
+
+            {/* Watch expressions evaluated at the current step */}
+            {hasData && hasMultipleSteps && <WatchPanel />}
+
+            {/* Chosen variables plotted over the whole run */}
+            {hasData && hasMultipleSteps && <VariableTimeline />}
         </div>
     );
 };
@@ -1,10 +1,11 @@
 import { useState, useEffect } from 'react';
-import { Play, Edit2, Maximize2, Minimize2 } from 'lucide-react';
+import { Play, Edit2, Maximize2, Minimize2, Square } from 'lucide-react';
 import { pythonService, usePythonStore } from '../services/PythonService';
 import MonacoEditor from './MonacoEditor';
 import HighlightedCode from './HighlightedCode';
 import CodeLegend from './CodeLegend';
 import StatusIndicator from './ui/StatusIndicator';
+import { useKeyboardShortcuts } from '../utils/keyboardShortcuts';
 
 // Extracted components for better readability
 const EditorHeader = ({ isRunning, isInitialized, isFullScreen, onToggleFullScreen }) => (
@@ -60,11 +61,86 @@ const ErrorMessage = ({ message }) => (
     </div>
 );
 
-const ActionButtons = ({ isEditing, onVisualize, isRunning, isInitialized, code, hasRun }) => (
+// Keeps the text being typed and only applies it, clamped to min, on blur or Enter -
+// applying every keystroke would turn a cleared field into min before the new number is typed
+const NumberSetting = ({ label, value, onChange, min = 1, step = 1 }) => {
+    const [text, setText] = useState(String(value));
+
+    useEffect(() => {
+        setText(String(value));
+    }, [value]);
+
+    const apply = () => {
+        const parsed = parseInt(text, 10);
+        const next = Number.isNaN(parsed) ? value : Math.max(min, parsed);
+        setText(String(next));
+        if (next !== value) onChange(next);
+    };
+
+    return (
+        <label className="flex items-center space-x-2 text-sm text-gray-600">
+            <span>{label}</span>
+            <input
+                type="number"
+                min={min}
+                step={step}
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                onBlur={apply}
+                onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                className="w-24 px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500"
+            />
+        </label>
+    );
+};
+
+const RunSettings = ({
+    maxSteps,
+    onMaxStepsChange,
+    executionTimeout,
+    onExecutionTimeoutChange,
+    hasRun,
+    keepTrace,
+    onKeepTraceChange
+}) => (
+    <div className="flex items-center space-x-4">
+        <NumberSetting label="Max steps" value={maxSteps} onChange={onMaxStepsChange} step={100} />
+        <NumberSetting label="Timeout (s)" value={executionTimeout} onChange={onExecutionTimeoutChange} />
+
+        {/* Only offered once there is a trace to keep */}
+        {hasRun && (
+            <label
+                className="flex items-center space-x-2 text-sm text-gray-600"
+                title="Keep showing the last run in the visualization while editing, to compare with the next one"
+            >
+                <input
+                    type="checkbox"
+                    checked={keepTrace}
+                    onChange={(e) => onKeepTraceChange(e.target.checked)}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                <span>Keep last trace</span>
+            </label>
+        )}
+    </div>
+);
+
+const ActionButtons = ({ isEditing, onVisualize, onEdit, onStop, isRunning, isInitialized, code, hasRun }) => (
     <div className="flex justify-end space-x-3 h-10 flex-shrink-0">
-        {!isEditing && (
+        {isRunning && (
             <button
-                onClick={() => window.location.reload()}
+                onClick={onStop}
+                className="flex items-center px-5 py-2 text-sm font-medium text-red-700 bg-white border 
+                         border-red-300 rounded-md hover:bg-red-50 hover:border-red-400 transition-colors
+                         focus:outline-none"
+            >
+                <Square className="w-4 h-4 mr-2" />
+                Stop
+            </button>
+        )}
+        {!isEditing && !isRunning && (
+            <button
+                onClick={onEdit}
                 className="flex items-center px-5 py-2 text-sm font-medium text-gray-700 bg-white border 
                          border-gray-300 rounded-md hover:bg-gray-50 hover:border-gray-400 transition-colors
                          focus:outline-none"
@@ -113,9 +189,9 @@ const CodeEditor = ({ onCodeChange }) => {
     const [code, setCode] = useState('');
     const [isEditing, setIsEditing] = useState(true);
     const [isFullScreen, toggleFullScreen] = useFullScreenMode();
-    const { error, isInitialized } = usePythonStore();
+    const { error, isInitialized, maxSteps, setMaxSteps, executionTimeout, setExecutionTimeout } = usePythonStore();
     const [hasRun, setHasRun] = useState(false);
-
+    const [keepTrace, setKeepTrace] = useState(true);
 
     // State to track only user-initiated code running (not initialization)
     const [isUserCodeRunning, setIsUserCodeRunning] = useState(false);
@@ -143,6 +219,25 @@ const CodeEditor = ({ onCodeChange }) => {
         }
     };
 
+    // Back to the editor: the code and the loaded interpreter stay, and so does the last trace if asked
+    const handleEdit = () => {
+        setIsEditing(true);
+        if (!keepTrace) pythonService.clearTrace();
+    };
+
+    const handleKeepTraceChange = (keep) => {
+        setKeepTrace(keep);
+        if (!keep && isEditing) pythonService.clearTrace();
+    };
+
+    // Same conditions as the Run Code button
+    const canRun = (!hasRun || isEditing) && code.trim() && !isUserCodeRunning && isInitialized;
+    const handleRunShortcut = () => {
+        if (canRun) handleVisualize();
+    };
+
+    useKeyboardShortcuts({ run: handleRunShortcut });
+
     // Compute container class dynamically
     const containerClass = isFullScreen
         ? 'fixed inset-0 z-50 bg-white'
@@ -171,6 +266,7 @@ const CodeEditor = ({ onCodeChange }) => {
                             <MonacoEditor
                                 value={code}
                                 onChange={handleCodeChange}
+                                onRun={handleRunShortcut}
                             />
                         </div>
                     ) : (
@@ -182,14 +278,30 @@ const CodeEditor = ({ onCodeChange }) => {
                     )}
                 </div>
 
-                <ActionButtons
-                    isEditing={isEditing}
-                    onVisualize={handleVisualize}
-                    isRunning={isUserCodeRunning}
-                    isInitialized={isInitialized}
-                    code={code}
-                    hasRun={hasRun}
-                />
+                <div className="flex items-center justify-between">
+                    {isEditing ? (
+                        <RunSettings
+                            maxSteps={maxSteps}
+                            onMaxStepsChange={setMaxSteps}
+                            executionTimeout={executionTimeout}
+                            onExecutionTimeoutChange={setExecutionTimeout}
+                            hasRun={hasRun}
+                            keepTrace={keepTrace}
+                            onKeepTraceChange={handleKeepTraceChange}
+                        />
+                    ) : <div />}
+
+                    <ActionButtons
+                        isEditing={isEditing}
+                        onVisualize={handleVisualize}
+                        onEdit={handleEdit}
+                        onStop={() => pythonService.cancel()}
+                        isRunning={isUserCodeRunning}
+                        isInitialized={isInitialized}
+                        code={code}
+                        hasRun={hasRun}
+                    />
+                </div>
             </div>
         </div>
     );
@@ -1,21 +1,49 @@
 import { usePythonStore } from '../services/PythonService';
-import { ChevronLeft, ChevronRight, ChevronsLeft, ChevronsRight, Play, Pause } from 'lucide-react';
+import { ChevronLeft, ChevronRight, ChevronsLeft, ChevronsRight, Play, Pause, SkipBack, SkipForward } from 'lucide-react';
 import { useState, useEffect, useRef } from 'react';
+import { findBreakpointStep, findStepOver, findStepInto, findStepOut } from '../utils/stepNavigation';
+import { useKeyboardShortcuts, useShortcutLabel } from '../utils/keyboardShortcuts';
 
 // Button styling constants
 const BUTTON_STYLES = {
     base: "flex items-center justify-center p-2 rounded-md transition-colors focus:outline-none focus:ring-2 focus:ring-offset-1 focus:ring-blue-500",
     primary: "bg-blue-100 text-blue-700 hover:bg-blue-200 disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed",
     secondary: "bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:bg-gray-50 disabled:text-gray-400 disabled:cursor-not-allowed",
-    action: "disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed"
+    breakpoint: "bg-red-50 text-red-700 hover:bg-red-100 disabled:bg-gray-50 disabled:text-gray-400 disabled:cursor-not-allowed",
+    action: "disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed",
+    step: "px-2 py-1 text-xs font-medium"
 };
 
+// Debugger-style moves, listed from the outermost; titles are [backwards, forwards]
+const STEP_MODES = [
+    {
+        key: 'out',
+        label: 'Out',
+        find: findStepOut,
+        titles: ['Step back out: to the call that entered this function', 'Step out: run to the return of this function']
+    },
+    {
+        key: 'over',
+        label: 'Over',
+        find: findStepOver,
+        titles: ['Step back over: previous line of this function', 'Step over: next line of this function, skipping calls']
+    },
+    {
+        key: 'into',
+        label: 'Into',
+        find: findStepInto,
+        titles: ['Step back into: previous step, back inside the last call', 'Step into: next step, entering any call']
+    }
+];
+
 const ExecutionControls = () => {
     const {
         executionSteps,
         currentStepIndex,
         setCurrentStepIndex,
-        executionState
+        executionState,
+        breakpoints,
+        breakpointConditions
     } = usePythonStore();
 
     const [isAutoPlaying, setIsAutoPlaying] = useState(false);
@@ -25,6 +53,22 @@ const ExecutionControls = () => {
     const totalSteps = executionSteps?.length || 1;
     const isRunning = executionState?.isRunning;
 
+    // Index of the terminal marker added when the trace hit the step cap
+    const truncatedIndex = executionSteps?.findIndex(step => step.kind === 'truncated') ?? -1;
+    const truncatedPosition = totalSteps > 1 ? (truncatedIndex / (totalSteps - 1)) * 100 : 100;
+
+    // Nearest breakpoint hits on either side of the current step
+    const nextBreakpointIndex = findBreakpointStep(executionSteps, currentStepIndex, breakpoints, 1, breakpointConditions);
+    const previousBreakpointIndex = findBreakpointStep(executionSteps, currentStepIndex, breakpoints, -1, breakpointConditions);
+
+    // Slider positions (in %) of the steps where a breakpoint condition held, rounded to half a percent
+    // so a long run doesn't draw a mark per step
+    const conditionPositions = totalSteps > 1
+        ? [...new Set((executionSteps || [])
+            .map((step, i) => step.conditionMet ? Math.round((i / (totalSteps - 1)) * 200) / 2 : null)
+            .filter(position => position !== null))]
+        : [];
+
     // Handle auto-play functionality
     useEffect(() => {
         if (isAutoPlaying && !isRunning) {
@@ -76,6 +120,27 @@ const ExecutionControls = () => {
         setCurrentStepIndex(totalSteps - 1);
     };
 
+    const handleContinue = () => {
+        setIsAutoPlaying(false);
+        if (nextBreakpointIndex >= 0) {
+            setCurrentStepIndex(nextBreakpointIndex);
+        }
+    };
+
+    const handleReverseContinue = () => {
+        setIsAutoPlaying(false);
+        if (previousBreakpointIndex >= 0) {
+            setCurrentStepIndex(previousBreakpointIndex);
+        }
+    };
+
+    const handleStep = (index) => {
+        setIsAutoPlaying(false);
+        if (index >= 0) {
+            setCurrentStepIndex(index);
+        }
+    };
+
     const toggleAutoPlay = () => {
         setIsAutoPlaying(!isAutoPlaying);
     };
@@ -92,6 +157,20 @@ const ExecutionControls = () => {
         setPlaybackSpeed(parseFloat(e.target.value));
     };
 
+    // Keyboard equivalents of the buttons; nothing to step through while code runs
+    useKeyboardShortcuts(isRunning || !executionSteps?.length ? {} : {
+        previous: handlePrev,
+        next: handleNext,
+        first: handleFirst,
+        last: handleLast,
+        stepOver: () => handleStep(findStepOver(executionSteps, currentStepIndex, 1)),
+        stepOut: () => handleStep(findStepOut(executionSteps, currentStepIndex, 1)),
+        continue: handleContinue,
+        reverseContinue: handleReverseContinue,
+        togglePlay: () => (isAutoPlaying || currentStepIndex < totalSteps - 1) && toggleAutoPlay()
+    });
+    const helpKey = useShortcutLabel('help');
+
     // Check if navigation is disabled
     const isAtStart = currentStepIndex === 0 || isRunning || !executionSteps?.length;
     const isAtEnd = currentStepIndex >= totalSteps - 1 || isRunning || !executionSteps?.length;
@@ -101,9 +180,30 @@ const ExecutionControls = () => {
     // Define classes for the different button types
     const primaryButtonClass = `${BUTTON_STYLES.base} ${BUTTON_STYLES.primary}`;
     const secondaryButtonClass = `${BUTTON_STYLES.base} ${BUTTON_STYLES.secondary}`;
+    const breakpointButtonClass = `${BUTTON_STYLES.base} ${BUTTON_STYLES.breakpoint}`;
+    const stepButtonClass = `${BUTTON_STYLES.base} ${BUTTON_STYLES.secondary} ${BUTTON_STYLES.step}`;
+    const breakpointHint = breakpoints.length === 0 ? ' (click beside a line number to add one)' : '';
     const actionButtonClass = `${BUTTON_STYLES.base} ${BUTTON_STYLES.action} ${isAutoPlaying ? 'bg-amber-100 text-amber-700 hover:bg-amber-200' : 'bg-green-100 text-green-700 hover:bg-green-200'
         }`;
 
+    const renderStepButton = (mode, direction) => {
+        const target = mode.find(executionSteps, currentStepIndex, direction);
+
+        return (
+            <button
+                key={`${mode.key}${direction}`}
+                onClick={() => handleStep(target)}
+                disabled={isRunning || target < 0}
+                className={stepButtonClass}
+                title={mode.titles[direction > 0 ? 1 : 0]}
+            >
+                {direction < 0 && <ChevronLeft className="w-3.5 h-3.5 mr-0.5" />}
+                {mode.label}
+                {direction > 0 && <ChevronRight className="w-3.5 h-3.5 ml-0.5" />}
+            </button>
+        );
+    };
+
     return (
         <div className="w-full border-t border-gray-200 bg-white p-5">
             <div className="flex items-center justify-between">
@@ -135,6 +235,15 @@ const ExecutionControls = () => {
                 </div>
 
                 <div className="flex items-center space-x-2">
+                    <button
+                        onClick={handleReverseContinue}
+                        disabled={isRunning || previousBreakpointIndex < 0}
+                        className={breakpointButtonClass}
+                        title={`Reverse-continue to previous breakpoint${breakpointHint}`}
+                    >
+                        <SkipBack className="w-5 h-5" />
+                    </button>
+
                     <button
                         onClick={handleFirst}
                         disabled={isAtStart}
@@ -154,18 +263,43 @@ const ExecutionControls = () => {
                     </button>
 
                     <div className="w-64 flex flex-col items-center px-2">
-                        <input
-                            type="range"
-                            min="0"
-                            max={totalSteps - 1}
-                            value={currentStepIndex}
-                            onChange={handleSliderChange}
-                            disabled={isSliderDisabled}
-                            className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
-                        />
+                        <div className="relative w-full">
+                            <input
+                                type="range"
+                                min="0"
+                                max={totalSteps - 1}
+                                value={currentStepIndex}
+                                onChange={handleSliderChange}
+                                disabled={isSliderDisabled}
+                                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
+                            />
+
+                            {/* Steps where a breakpoint condition was true */}
+                            {conditionPositions.map(position => (
+                                <div
+                                    key={position}
+                                    className="absolute bottom-full mb-0.5 w-0.5 h-2 bg-amber-500 -translate-x-1/2 pointer-events-none"
+                                    style={{ left: `${position}%` }}
+                                />
+                            ))}
+
+                            {/* Truncation marker on the slider track */}
+                            {truncatedIndex >= 0 && (
+                                <div
+                                    className="absolute top-full mt-0.5 w-0.5 h-2 bg-red-500 -translate-x-1/2 pointer-events-none"
+                                    style={{ left: `${truncatedPosition}%` }}
+                                    title={`Trace truncated at step ${truncatedIndex}`}
+                                />
+                            )}
+                        </div>
                         <div className="text-center mt-2 text-sm font-medium text-gray-600">
                             Step {currentStepIndex} of {totalSteps - 1}
                         </div>
+                        {truncatedIndex >= 0 && (
+                            <div className="text-center text-xs font-medium text-red-600">
+                                Trace truncated at step {truncatedIndex}
+                            </div>
+                        )}
                     </div>
 
                     <button
@@ -185,8 +319,25 @@ const ExecutionControls = () => {
                     >
                         <ChevronsRight className="w-5 h-5" />
                     </button>
+
+                    <button
+                        onClick={handleContinue}
+                        disabled={isRunning || nextBreakpointIndex < 0}
+                        className={breakpointButtonClass}
+                        title={`Continue to next breakpoint${breakpointHint}`}
+                    >
+                        <SkipForward className="w-5 h-5" />
+                    </button>
                 </div>
             </div>
+
+            {/* Step over, into and out, mirrored: backwards on the left, forwards on the right */}
+            <div className="flex items-center justify-end space-x-1 mt-3">
+                {helpKey && <span className="mr-auto text-xs text-gray-400">Press {helpKey} for keyboard shortcuts</span>}
+                {STEP_MODES.map(mode => renderStepButton(mode, -1))}
+                <span className="px-2 text-xs text-gray-400">step</span>
+                {[...STEP_MODES].reverse().map(mode => renderStepButton(mode, 1))}
+            </div>
         </div>
     );
 };
@@ -1,4 +1,4 @@
-import { getObjectTypeColor } from '../visualization/colors';
+import { getObjectTypeColor, getChangeColor } from '../visualization/colors';
 
 // Utility functions to simplify component logic
 const getTypeIcon = (data, heap) => {
@@ -17,6 +17,10 @@ const getTypeIcon = (data, heap) => {
         switch (heapObj.type) {
             case 'list': return '[]';
             case 'dict': return '{}';
+            case 'set': return '{•}';
+            case 'deque': return '⇆';
+            case 'instance': return '◆';
+            case 'class': return 'C';
             case 'function': return 'ƒ';
             default: return '○';
         }
@@ -52,7 +56,15 @@ const formatValue = (data, heap) => {
             case 'list':
                 return `List (${heapObj.elements?.length || 0} items)`;
             case 'dict':
-                return `Dict (${Object.keys(heapObj.value || {}).length} keys)`;
+                return `Dict (${heapObj.entries?.length || 0} keys)`;
+            case 'set':
+                return `Set (${heapObj.elements?.length || 0} items)`;
+            case 'deque':
+                return `Deque (${heapObj.elements?.length || 0} items)`;
+            case 'instance':
+                return `${heapObj.className} instance`;
+            case 'class':
+                return `class ${heapObj.name}`;
             case 'function':
                 return heapObj.name ? `function ${heapObj.name}()` : 'function()';
             default:
@@ -64,10 +76,12 @@ const formatValue = (data, heap) => {
 };
 
 // Variable Component for improved readability and maintainability
-const VariableItem = ({ name, data, heap, onSelectVariable }) => {
+const VariableItem = ({ name, data, heap, change, onSelectVariable }) => {
     const style = getObjectTypeColor(data.type === 'reference' && heap[data.id]
         ? heap[data.id].type
         : 'primitive');
+    // Variables added or reassigned in this step are outlined in the change's color
+    const changeColors = change ? getChangeColor(change) : null;
 
     const typeIcon = getTypeIcon(data, heap);
     const formatted = formatValue(data, heap);
@@ -78,8 +92,8 @@ const VariableItem = ({ name, data, heap, onSelectVariable }) => {
             className={`flex items-center p-2 rounded-md border ${isReference ? 'cursor-pointer hover:shadow-md transition-shadow' : ''
                 }`}
             style={{
-                backgroundColor: style.background,
-                borderColor: style.border,
+                backgroundColor: changeColors ? changeColors.bg : style.background,
+                borderColor: changeColors ? changeColors.text : style.border,
             }}
             onClick={() => {
                 if (isReference && onSelectVariable) {
@@ -113,6 +127,16 @@ const VariableItem = ({ name, data, heap, onSelectVariable }) => {
                 {formatted}
             </div>
 
+            {/* Change badge */}
+            {change && (
+                <div
+                    className="ml-2 px-1.5 rounded text-xs font-medium"
+                    style={{ color: changeColors.hover, backgroundColor: 'white' }}
+                >
+                    {change}
+                </div>
+            )}
+
             {/* Reference indicator arrow */}
             {isReference && (
                 <div className="ml-auto">
@@ -145,7 +169,7 @@ const EmptyVariablesMessage = () => (
     </div>
 );
 
-const FrameVariableVisualizer = ({ variables, heap, onSelectVariable }) => {
+const FrameVariableVisualizer = ({ variables, heap, changes = {}, onSelectVariable }) => {
     if (!variables || Object.keys(variables).length === 0) {
         return <EmptyVariablesMessage />;
     }
@@ -160,6 +184,7 @@ const FrameVariableVisualizer = ({ variables, heap, onSelectVariable }) => {
                         name={name}
                         data={data}
                         heap={heap}
+                        change={changes[name]}
                         onSelectVariable={onSelectVariable}
                     />
                 ))}
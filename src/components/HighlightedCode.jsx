@@ -1,6 +1,7 @@
 import { usePythonStore } from '../services/PythonService';
 import { COLORS } from '../visualization/colors';
 import { useEffect, useRef } from 'react';
+import { askBreakpointCondition } from '../utils/stepNavigation';
 
 // Line styling utilities
 const getLineStyle = (isCurrentLine, isPreviousLine) => {
@@ -40,7 +41,14 @@ const ExecutionIndicator = ({ isCurrentLine, isPreviousLine }) => {
 };
 
 const HighlightedCode = ({ code }) => {
-    const { executionSteps, currentStepIndex } = usePythonStore();
+    const {
+        executionSteps,
+        currentStepIndex,
+        breakpoints,
+        breakpointConditions,
+        toggleBreakpoint,
+        setBreakpointCondition
+    } = usePythonStore();
     const codeContainerRef = useRef(null);
 
     // Get current and previous step information
@@ -81,6 +89,16 @@ const HighlightedCode = ({ code }) => {
     const adjustedCurrentLine = findNearestExecutableLine(currentLine);
     const adjustedPreviousLine = findNearestExecutableLine(previousLine);
 
+    // Click toggles a breakpoint, shift-click asks for the condition it stops on
+    const handleGutterClick = (e, lineNumber) => {
+        if (!e.shiftKey) {
+            toggleBreakpoint(lineNumber);
+            return;
+        }
+        const condition = askBreakpointCondition(lineNumber, breakpointConditions[lineNumber]);
+        if (condition !== null) setBreakpointCondition(lineNumber, condition);
+    };
+
     // Auto-scroll implementation using scrollIntoView
     useEffect(() => {
         // If no line to scroll to, exit early
@@ -109,6 +127,10 @@ const HighlightedCode = ({ code }) => {
                 const lineNumber = index + 1;
                 const isCurrentLine = lineNumber === adjustedCurrentLine;
                 const isPreviousLine = lineNumber === adjustedPreviousLine;
+                const hasBreakpoint = breakpoints.includes(lineNumber);
+                const condition = hasBreakpoint ? breakpointConditions[lineNumber] : null;
+                // Blank and comment lines never run, so they only take a breakpoint off
+                const canToggle = hasBreakpoint || isExecutableLine(lineNumber);
 
                 return (
                     <div
@@ -116,8 +138,20 @@ const HighlightedCode = ({ code }) => {
                         id={`line-${lineNumber}`} // Add unique ID for each line for easy access
                         className={`flex items-start code-line py-1.5 transition-colors duration-300 ${getLineStyle(isCurrentLine, isPreviousLine)}`}
                     >
-                        {/* Line number */}
-                        <div className="w-8 text-right select-none mr-4" style={{ color: COLORS.gray[400] }}>
+                        {/* Line number; clicking the gutter toggles a breakpoint on the line */}
+                        <div
+                            className={`w-12 flex items-center justify-end select-none mr-4 ${canToggle ? 'cursor-pointer group' : ''}`}
+                            style={{ color: COLORS.gray[400] }}
+                            onClick={(e) => canToggle && handleGutterClick(e, lineNumber)}
+                            title={canToggle
+                                ? `${condition ? `Breakpoint when ${condition}\n` : ''}` +
+                                  `${hasBreakpoint ? 'Click to remove' : 'Click to add a breakpoint'}, shift-click to set a condition`
+                                : undefined}
+                        >
+                            <span
+                                className={`w-2.5 h-2.5 mr-2 rounded-full ${hasBreakpoint ? '' : 'opacity-0 group-hover:opacity-40'}`}
+                                style={{ backgroundColor: condition ? COLORS.state.warning[500] : COLORS.state.error[500] }}
+                            />
                             {lineNumber}
                         </div>
 
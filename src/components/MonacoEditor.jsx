@@ -1,43 +1,8 @@
 import { useEffect, useRef } from 'react';
 import Editor from '@monaco-editor/react';
 import { pythonService, usePythonStore } from '../services/PythonService';
-
-// Python code for syntax validation - fixed indentation and line handling
-const PYTHON_VALIDATION_CODE = `
-import ast
-
-def validate_syntax(code):
-    try:
-        # First check syntax
-        ast.parse(code)
-        
-        # Then check for runtime errors by executing in a safe context
-        try:
-            # Create a copy of the code to check for runtime errors
-            exec(compile(code, '<string>', 'exec'), {})
-            return None
-        except (TypeError, IndexError, NameError) as e:
-            # Get line number from traceback
-            import sys, traceback
-            tb = traceback.extract_tb(sys.exc_info()[2])
-            return {
-                'line': tb[-1].lineno if tb else 1,
-                'column': 1,
-                'message': str(e)
-            }
-    except SyntaxError as e:
-        return {
-            'line': e.lineno,
-            'column': e.offset,
-            'message': str(e)
-        }
-    except Exception as e:
-        return {
-            'line': 1,
-            'column': 1,
-            'message': str(e)
-        }
-`;
+import { askBreakpointCondition } from '../utils/stepNavigation';
+import { matchesShortcut } from '../utils/keyboardShortcuts';
 
 // Editor options extracted for clarity
 const EDITOR_OPTIONS = {
@@ -52,8 +17,8 @@ const EDITOR_OPTIONS = {
     wordWrap: 'on'
 };
 
-// Error styling - extracted to avoid inline styles
-const ERROR_STYLES = `
+// Error and breakpoint styling - extracted to avoid inline styles
+const DECORATION_STYLES = `
 .errorLine {
     background: #ff000020;
     border-bottom: 2px solid #ff0000;
@@ -65,15 +30,114 @@ const ERROR_STYLES = `
     height: 8px !important;
     margin-left: 5px;
 }
+.breakpointGlyph {
+    background: #EF4444;
+    border-radius: 50%;
+    width: 10px !important;
+    height: 10px !important;
+    margin-left: 4px;
+    margin-top: 4px;
+    cursor: pointer;
+}
+.conditionalBreakpointGlyph {
+    background: #F59E0B;
+}
 `;
 
-const MonacoEditor = ({ value, onChange }) => {
+/**
+ * Replaces the breakpoint dots in the glyph margin. Breakpoints past the end of the code
+ * (e.g. restored before the code is pasted back) get no dot until the code reaches them
+ * @param {Object} editor - Monaco editor instance
+ * @param {Object} shown - {ids, lines} of the dots currently shown
+ * @param {Array<number>} breakpoints - Breakpoint lines
+ * @param {Object} conditions - Conditions of conditional breakpoints, by line
+ * @returns {Object} - {ids, lines} of the new dots
+ */
+const showBreakpoints = (editor, shown, breakpoints, conditions) => {
+    const lineCount = editor.getModel()?.getLineCount() ?? 0;
+    const lines = breakpoints.filter(line => line <= lineCount);
+    const ids = editor.deltaDecorations(shown.ids, lines.map(line => ({
+        range: { startLineNumber: line, startColumn: 1, endLineNumber: line, endColumn: 1 },
+        options: {
+            glyphMarginClassName: conditions[line] ? 'breakpointGlyph conditionalBreakpointGlyph' : 'breakpointGlyph',
+            glyphMarginHoverMessage: {
+                value: `${conditions[line] ? `Breakpoint when \`${conditions[line]}\`` : 'Breakpoint'} ` +
+                    '(click to remove, shift-click to set a condition)'
+            },
+            // Typing at the start of the line doesn't move the dot to the next line
+            stickiness: 1
+        }
+    })));
+
+    return { ids, lines };
+};
+
+const MonacoEditor = ({ value, onChange, onRun }) => {
     const editorRef = useRef(null);
-    const { isInitialized } = usePythonStore();
+    const { isInitialized, breakpoints, breakpointConditions, moveBreakpoints } = usePythonStore();
     const decorationsRef = useRef([]);
+    const breakpointDecorationsRef = useRef({ ids: [], lines: [] });
+    // Latest run callback, for the editor command registered once on mount
+    const onRunRef = useRef(onRun);
+    onRunRef.current = onRun;
 
-    const handleEditorDidMount = (editor) => {
+    const handleEditorDidMount = (editor, monaco) => {
         editorRef.current = editor;
+
+        // Clicking the glyph margin toggles a breakpoint on the line, shift-click asks for its condition
+        editor.onMouseDown((e) => {
+            if (e.target.type !== monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN || !e.target.position) return;
+
+            const line = e.target.position.lineNumber;
+            const store = usePythonStore.getState();
+            if (!e.event.shiftKey) {
+                store.toggleBreakpoint(line);
+                return;
+            }
+            const condition = askBreakpointCondition(line, store.breakpointConditions[line]);
+            if (condition !== null) store.setBreakpointCondition(line, condition);
+        });
+
+        // Global shortcuts stay out of the editor, so the run shortcut is handled here
+        editor.onKeyDown((e) => {
+            if (!matchesShortcut(e.browserEvent, 'run')) return;
+            e.preventDefault();
+            e.stopPropagation();
+            onRunRef.current?.();
+        });
+
+        const { breakpoints: lines, breakpointConditions: conditions } = usePythonStore.getState();
+        breakpointDecorationsRef.current = showBreakpoints(editor, breakpointDecorationsRef.current, lines, conditions);
+    };
+
+    // Redraw the dots whenever a breakpoint is added, removed or given a condition, here or in the highlighted view
+    useEffect(() => {
+        if (!editorRef.current) return;
+        breakpointDecorationsRef.current = showBreakpoints(
+            editorRef.current, breakpointDecorationsRef.current, breakpoints, breakpointConditions
+        );
+    }, [breakpoints, breakpointConditions]);
+
+    // Breakpoints follow their line when lines are added or removed above them
+    const syncBreakpointLines = () => {
+        const model = editorRef.current?.getModel();
+        if (!model) return;
+
+        const { ids, lines: shownLines } = breakpointDecorationsRef.current;
+        const moves = new Map();
+        ids.forEach((id, i) => {
+            const line = model.getDecorationRange(id)?.startLineNumber;
+            if (line && line !== shownLines[i]) moves.set(shownLines[i], line);
+        });
+
+        if (moves.size > 0) {
+            moveBreakpoints(moves);
+        } else if (breakpoints.length > shownLines.length) {
+            // The code may have grown enough to show the breakpoints past its end
+            breakpointDecorationsRef.current = showBreakpoints(
+                editorRef.current, breakpointDecorationsRef.current, breakpoints, breakpointConditions
+            );
+        }
     };
 
     // Improved validation function with better error handling
@@ -84,15 +148,8 @@ const MonacoEditor = ({ value, onChange }) => {
             // Ensure consistent line endings in the code before passing to Python
             const normalizedCode = code.replace(/\r\n/g, '\n');
 
-            // Run the validation with the normalized code
-            await pythonService.pyodide.runPythonAsync(`
-${PYTHON_VALIDATION_CODE}
-# Note the indentation here is important
-error = validate_syntax(${JSON.stringify(normalizedCode)})
-            `);
-
-            const error = pythonService.pyodide.globals.get('error');
-            const errorData = error?.toJs();
+            // Run the validation in the Python worker
+            const errorData = await pythonService.validateCode(normalizedCode);
 
             updateEditorDecorations(errorData);
         } catch (error) {
@@ -136,13 +193,14 @@ error = validate_syntax(${JSON.stringify(normalizedCode)})
     // Add error styles to document head
     useEffect(() => {
         const style = document.createElement('style');
-        style.textContent = ERROR_STYLES;
+        style.textContent = DECORATION_STYLES;
         document.head.appendChild(style);
         return () => style.remove();
     }, []);
 
     const handleChange = (newValue) => {
         onChange(newValue);
+        syncBreakpointLines();
         validateCode(newValue);
     };
 
@@ -1,4 +1,5 @@
 import { useEffect, useRef } from 'react';
+import { ZoomIn, ZoomOut, Scan, RotateCcw } from 'lucide-react';
 import { usePythonStore } from '../services/PythonService';
 import * as d3 from 'd3';
 import {
@@ -9,7 +10,35 @@ import {
     DEFAULTS,
     utils
 } from '../visualization/config';
-import { COLORS, getObjectTypeColor } from '../visualization/colors';
+import { COLORS, getObjectTypeColor, getChangeColor, getStatusColor, withOpacity } from '../visualization/colors';
+import { findStructures, layoutStructure } from '../visualization/structureLayout';
+import { computeHeapLayout, getReferencedIds, MAX_NESTING_LEVEL } from '../visualization/heapLayout';
+import { detectGrid, getGridSize } from '../visualization/gridLayout';
+import {
+    detectGraph,
+    detectMatrixGraph,
+    getGraphSignature,
+    getTraversalState,
+    layoutGraph
+} from '../visualization/graphLayout';
+import { getFrameKey, getValueKey } from '../visualization/stepDiff';
+
+// Labels for the synthetic rows added to frames on return and exception steps
+const RETURN_VALUE_LABEL = 'Return value';
+const EXCEPTION_LABEL = 'Exception';
+const RAISED_LABEL = 'Raised';
+
+// Id of the drawing group, shown again in the minimap through <use>
+const CONTENT_ID = 'stepviz-content';
+
+// Links offered above an object to switch it to another view
+const VIEW_LABELS = {
+    cells: '▤ cells',
+    bars: '▥ bars',
+    grid: '▦ grid',
+    table: '▤ table',
+    graph: '◉ graph'
+};
 
 /**
  * PythonTutorViz - Main visualization component for Python code execution
@@ -18,8 +47,29 @@ import { COLORS, getObjectTypeColor } from '../visualization/colors';
 const PythonTutorViz = () => {
     const svgRef = useRef(null);
     const containerRef = useRef(null);
-    const { executionState } = usePythonStore();
-    const prevExecutionStateRef = useRef();
+    const { executionState, executionSteps } = usePythonStore();
+    // Step currently drawn; drag handlers outlive the render that attached them, so they read it from here
+    const shownStateRef = useRef(null);
+    // What the last render showed (value slot -> text, heap id -> element count), to animate changes against
+    const renderedRef = useRef({ values: new Map(), lengths: new Map() });
+    // State of the render in progress: transition duration, step diff, list cells read by the current and the
+    // previous line, frames, values seen, arrows to draw, object being drawn
+    const renderPassRef = useRef(null);
+    // ELK layout of the current step: heap id -> position
+    const heapLayoutRef = useRef({ positions: new Map() });
+    // Layouts are computed once per step (keyed on the step's heap) and reused while scrubbing
+    const layoutCacheRef = useRef(new WeakMap());
+    // Objects the user dragged: heap id -> position, kept for the rest of the run
+    const manualPositionsRef = useRef({ steps: null, positions: new Map() });
+    // Views the user picked for objects that can be drawn more than one way: heap id -> view, kept for the run
+    const objectViewsRef = useRef(new Map());
+    // Force layouts of the graphs drawn so far: heap id -> {signature, layout}
+    const graphLayoutsRef = useRef(new Map());
+    // Variables the user pinned (true) or unpinned (false) as index pointers, kept for the rest of the run
+    const pointerPinsRef = useRef(new Map());
+    const zoomRef = useRef(null);
+    const zoomTransformRef = useRef(d3.zoomIdentity);
+    const minimapRef = useRef(null);
 
     // =====================================================
     // SVG Helper Functions
@@ -157,6 +207,140 @@ const PythonTutorViz = () => {
             .attr('fill', STYLES.colors.connectors.arrow);
     };
 
+    // =====================================================
+    // Transition Helpers
+    // =====================================================
+
+    /**
+     * Moves elements to their new attributes: animated between steps, immediately while dragging
+     * @param {d3.Selection} selection - Elements to update
+     * @returns {d3.Selection|d3.Transition} - Selection or transition to set the new attributes on
+     */
+    const withTransition = (selection) => {
+        const { duration } = renderPassRef.current;
+        // Named so a move doesn't cut short a fade that is still running
+        return duration > 0
+            ? selection.transition('move').duration(duration)
+            : selection.interrupt('move');
+    };
+
+    /**
+     * Fades in elements that just entered
+     * @param {d3.Selection} selection - Entering elements
+     */
+    const fadeIn = (selection) => {
+        const { duration } = renderPassRef.current;
+        if (duration === 0) return;
+
+        selection.style('opacity', 0)
+            .transition('fade')
+            .duration(duration)
+            .style('opacity', 1);
+    };
+
+    /**
+     * Fades out and removes elements that are no longer shown
+     * @param {d3.Selection} selection - Exiting elements
+     */
+    const fadeOut = (selection) => {
+        const { duration } = renderPassRef.current;
+
+        // Exiting elements are skipped by later joins, so a key that comes back gets a fresh element
+        selection.classed('exiting', true);
+        if (duration === 0) {
+            selection.remove();
+            return;
+        }
+
+        selection.transition('fade')
+            .duration(duration)
+            .style('opacity', 0)
+            .remove();
+    };
+
+    /**
+     * Records the text shown in a value slot and flips it in when it differs from the last step
+     * @param {d3.Selection} text - Text element showing the value
+     * @param {string} slot - Stable name of the slot (frame and variable, or heap id and index/key)
+     * @param {string} value - Text shown in the slot
+     */
+    const trackValueChange = (text, slot, value) => {
+        const { duration, values } = renderPassRef.current;
+        const previous = renderedRef.current.values.get(slot);
+        values.set(slot, value);
+
+        if (duration === 0 || previous === undefined || previous === value) return;
+
+        const color = text.style('fill');
+        text.style('transform-box', 'fill-box')
+            .style('transform-origin', 'center')
+            .style('transform', 'scaleY(0)')
+            .style('fill', COLORS.state.warning[600])
+            .transition()
+            .duration(duration / 2)
+            .style('transform', 'scaleY(1)')
+            .transition()
+            .duration(DEFAULTS.transition.flash)
+            .style('fill', color);
+    };
+
+    /**
+     * Creates the group a list or deque cell is drawn into; cells added since the last step slide in
+     * @param {d3.Selection} g - Object group
+     * @param {number} index - Cell index
+     * @param {number} cellSize - Cell width, the distance a new cell slides
+     * @returns {d3.Selection} - The cell group
+     */
+    const createCellGroup = (g, index, cellSize) => {
+        const { duration, owner } = renderPassRef.current;
+        const cell = g.append('g').attr('class', 'cell');
+
+        // Objects that are new as a whole fade in instead
+        if (duration > 0 && owner?.previousLength !== undefined && index >= owner.previousLength) {
+            cell.attr('transform', `translate(${-cellSize}, 0)`)
+                .style('opacity', 0)
+                .transition()
+                .duration(duration)
+                .attr('transform', 'translate(0, 0)')
+                .style('opacity', 1);
+        }
+
+        return cell;
+    };
+
+    /**
+     * Looks up how a cell of the object being drawn changed since the previous step
+     * @param {string} slot - Slot of the cell, as named by computeStepDiff (index, key or attribute)
+     * @returns {string|null} - 'added', 'modified', 'removed' or null
+     */
+    const getCellChange = (slot) => {
+        const { diff, owner } = renderPassRef.current;
+        return diff?.cells[owner.id]?.[slot] || null;
+    };
+
+    /**
+     * Marks a cell that changed since the previous step with the change's colors
+     * @param {d3.Selection} g - Parent group element, drawn into after the cell background
+     * @param {string|null} change - Result of getCellChange
+     * @param {number} x - Cell X position
+     * @param {number} y - Cell Y position
+     * @param {number} width - Cell width
+     * @param {number} height - Cell height
+     * @param {number} radius - Corner radius matching the cell
+     */
+    const drawCellChange = (g, change, x, y, width, height, radius = DEFAULTS.borderRadius.sm) => {
+        if (!change) return;
+
+        const colors = getChangeColor(change);
+        createRect(g, x + 1, y + 1, width - 2, height - 2, {
+            fill: colors.bg,
+            stroke: colors.text,
+            strokeWidth: 2,
+            radius,
+            className: `change-${change}`
+        });
+    };
+
     // =====================================================
     // Object Rendering Functions
     // =====================================================
@@ -203,9 +387,10 @@ const PythonTutorViz = () => {
      * @param {number} x - X position
      * @param {number} y - Y position
      * @param {Object} heap - Heap object containing references
-     * @param {number} level - Recursion level for positioning
+     * @param {string} objectType - 'list', 'tuple', 'heap' (a list maintained with heapq) or 'str'
+     * (a string the program indexes, drawn one character per cell)
      */
-    const drawList = (g, elements, x, y, heap = {}, level = 0) => {
+    const drawList = (g, elements, x, y, heap = {}, objectType = 'list') => {
         if (!elements || !Array.isArray(elements)) {
             console.warn('Invalid list elements:', elements);
             return;
@@ -213,10 +398,11 @@ const PythonTutorViz = () => {
 
         const cellSize = LAYOUT.object.cell.size;
         const cellHeight = LAYOUT.object.cell.height;
-        const colors = getObjectTypeColor('list');
+        const isHeap = objectType === 'heap';
+        const colors = getObjectTypeColor(isHeap ? 'heap' : 'list');
 
         // List label
-        createText(g, x, y - 12, 'list', {
+        createText(g, x, y - 12, getListLabel(objectType), {
             className: 'text-xs fill-current',
             color: colors.text,
             weight: 'medium',
@@ -225,9 +411,10 @@ const PythonTutorViz = () => {
 
         elements.forEach((element, i) => {
             const cellX = x + i * cellSize;
+            const cell = createCellGroup(g, i, cellSize);
 
             // Cell background
-            createRect(g, cellX, y, cellSize, cellHeight, {
+            createRect(cell, cellX, y, cellSize, cellHeight, {
                 fill: colors.background,
                 stroke: colors.border,
                 radius: DEFAULTS.borderRadius.sm
@@ -235,13 +422,14 @@ const PythonTutorViz = () => {
 
             // Add dividing line for all cells except the last
             if (i < elements.length - 1) {
-                createLine(g, cellX + cellSize, y, cellX + cellSize, y + cellHeight, {
+                createLine(cell, cellX + cellSize, y, cellX + cellSize, y + cellHeight, {
                     stroke: colors.border
                 });
             }
+            drawCellChange(cell, getCellChange(String(i)), cellX, y, cellSize, cellHeight);
 
             // Index above cell
-            createText(g, cellX + cellSize / 2, y - 2, i.toString(), {
+            createText(cell, cellX + cellSize / 2, y - 2, i.toString(), {
                 className: 'text-xs fill-current',
                 color: COLORS.gray[500],
                 size: 'xs',
@@ -249,8 +437,739 @@ const PythonTutorViz = () => {
             });
 
             // Render the element value or reference
-            renderListElement(g, element, cellX, cellSize, y, cellHeight, colors, heap, i, level, x);
+            renderListElement(cell, element, cellX, cellSize, y, cellHeight, colors, heap, i);
+        });
+
+        // The smallest item of a heap always sits at index 0
+        if (isHeap && elements.length > 0) {
+            createText(g, x + cellSize / 2, y + cellHeight + 14, 'min', {
+                className: 'text-xs',
+                color: colors.text,
+                size: 'xs',
+                anchor: 'middle',
+                weight: 'medium'
+            });
+        }
+
+        // Index pointers go under the cells (and under a heap's 'min' marker)
+        drawListPointers(g, elements.length, index => x + index * cellSize + cellSize / 2, y + cellHeight + (isHeap ? 18 : 2));
+
+        // The digits of a string aren't values to compare as bars
+        if (objectType !== 'str' && isNumericList(elements)) {
+            drawViewToggle(g, x + getListLabel(objectType).length * 7 + 10, y - 12, 'bars');
+        }
+    };
+
+    /**
+     * Gets the label shown above a list
+     * @param {string} objectType - 'list', 'tuple', 'heap' or 'str'
+     * @returns {string} - Label text
+     */
+    const getListLabel = (objectType) => objectType === 'heap' ? 'heapq list' : objectType;
+
+    /**
+     * Checks whether every element of a list is a number, so it can be drawn as bars
+     * @param {Array} elements - List elements
+     * @returns {boolean} - True for a non-empty list of numbers
+     */
+    const isNumericList = (elements) => {
+        // The tracer sends numbers as their str()
+        return elements.length > 0 && elements.every(element =>
+            element.type === 'primitive' && String(element.value).trim() !== '' && Number.isFinite(Number(element.value)));
+    };
+
+    /**
+     * Decides how a heap object is drawn: rectangular lists of lists as grids and adjacency lists as
+     * graphs by default, while numeric lists (bars) and adjacency matrices (graph) switch on request
+     * @param {Object} obj - Heap object
+     * @param {string} id - Heap id of the object
+     * @param {Object} heap - Heap snapshot the object belongs to
+     * @returns {Object} - {view, grid, graph}: the view to draw and the shapes detected for it
+     */
+    const getObjectShape = (obj, id, heap) => {
+        const chosen = objectViewsRef.current.get(id);
+
+        if (obj.type === 'list') {
+            const grid = detectGrid(heap, id);
+            if (grid) {
+                const graph = chosen === 'graph' ? detectMatrixGraph(heap, grid) : null;
+                return { view: graph ? 'graph' : 'grid', grid, graph };
+            }
+            return { view: chosen === 'bars' && isNumericList(obj.elements || []) ? 'bars' : 'cells' };
+        }
+
+        if (obj.type === 'dict') {
+            const graph = chosen === 'table' ? null : detectGraph(heap, id);
+            return { view: graph ? 'graph' : 'table', graph };
+        }
+
+        return { view: null };
+    };
+
+    /**
+     * Switches an object to another view, then lays the step out again
+     * @param {string} id - Heap id of the object
+     * @param {string} view - View to switch to (a key of VIEW_LABELS)
+     */
+    const setObjectView = (id, view) => {
+        objectViewsRef.current.set(id, view);
+
+        // Cached layouts were measured with the previous view
+        layoutCacheRef.current = new WeakMap();
+        const state = shownStateRef.current;
+        getHeapLayout(state).then(layout => {
+            if (shownStateRef.current === state) renderExecutionState(state, layout);
+        });
+    };
+
+    /**
+     * Draws the link that switches the object being drawn to another view
+     * @param {d3.Selection} g - Object group
+     * @param {number} x - X position
+     * @param {number} y - Text baseline
+     * @param {string} view - View the link switches to (a key of VIEW_LABELS)
+     */
+    const drawViewToggle = (g, x, y, view) => {
+        const { id } = renderPassRef.current.owner;
+
+        const toggle = createText(g, x, y, VIEW_LABELS[view], {
+            className: 'text-xs view-toggle',
+            color: COLORS.primary[600],
+            size: 'xs',
+            weight: 'medium'
+        });
+        makeClickable(toggle, `Show as ${view}`, () => setObjectView(id, view));
+    };
+
+    /**
+     * Turns a canvas element into a button
+     * @param {d3.Selection} selection - Element to click
+     * @param {string} title - Tooltip describing what a click does
+     * @param {Function} onClick - Click handler
+     */
+    const makeClickable = (selection, title, onClick) => {
+        selection.style('cursor', 'pointer')
+            // Keeps the click from starting a drag or a pan
+            .on('mousedown', event => event.stopPropagation())
+            .on('click', event => {
+                event.stopPropagation();
+                onClick();
+            })
+            .append('title')
+            .text(title);
+    };
+
+    /**
+     * Checks whether a variable holds an int, the only values that can point into a list
+     * @param {Object} value - Processed variable value
+     * @returns {boolean} - True for an int
+     */
+    const isIntValue = (value) => value?.type === 'primitive' && /^-?\d+$/.test(String(value.value));
+
+    /**
+     * Lists the variables of a frame that count as pointers into one of its lists: the ones the
+     * program uses to index it (found by the tracer), plus the ones the user pinned, minus the
+     * ones the user unpinned
+     * @param {Object} frame - Frame with its variables and pointerNames
+     * @param {string} id - Heap id of the list
+     * @returns {Array<string>} - Variable names
+     */
+    const getPointerNames = (frame, id) => {
+        const pins = pointerPinsRef.current;
+        const pinned = Array.from(pins.keys()).filter(name => pins.get(name) && isIntValue(frame.variables?.[name]));
+
+        return [...new Set([...(frame.pointerNames?.[id] || []), ...pinned])]
+            .filter(name => pins.get(name) !== false && isIntValue(frame.variables?.[name]));
+    };
+
+    /**
+     * Checks whether a variable of a frame currently counts as an index pointer
+     * @param {Object} frame - Frame with its variables and pointerNames
+     * @param {string} name - Variable name
+     * @returns {boolean} - True when the variable is drawn as a pointer on the frame's lists
+     */
+    const isPointerVariable = (frame, name) => {
+        return pointerPinsRef.current.get(name)
+            ?? Object.values(frame.pointerNames || {}).some(names => names.includes(name));
+    };
+
+    /**
+     * Pins a variable as an index pointer, or unpins it, for the rest of the run
+     * @param {string} name - Variable name
+     * @param {boolean} isPointer - Whether the variable currently counts as a pointer
+     */
+    const togglePointerPin = (name, isPointer) => {
+        pointerPinsRef.current.set(name, !isPointer);
+        renderExecutionState(shownStateRef.current, heapLayoutRef.current);
+    };
+
+    /**
+     * Finds the pointer variables that fall within a list, from the innermost frame that refers to it
+     * @param {string} id - Heap id of the list
+     * @param {number} length - Length of the list
+     * @returns {Map<number, Array<string>>} - Index -> names of the variables pointing at it
+     */
+    const getListPointers = (id, length) => {
+        const { frames } = renderPassRef.current;
+        const frame = [...frames].reverse().find(candidate =>
+            Object.values(candidate.variables || {}).some(value => value?.type === 'reference' && value.id === id));
+        const pointers = new Map();
+        if (!frame) return pointers;
+
+        getPointerNames(frame, id).forEach(name => {
+            const index = Number(frame.variables[name].value);
+            if (index >= 0 && index < length) {
+                pointers.set(index, [...(pointers.get(index) || []), name]);
+            }
+        });
+
+        return pointers;
+    };
+
+    /**
+     * Draws the index pointers of the list being drawn as carets pointing up at their cell, labelled
+     * with the variable names; clicking a name unpins it. A pointer that moved since the last step
+     * slides along the list
+     * @param {d3.Selection} g - Object group
+     * @param {number} length - Length of the list
+     * @param {Function} getCenterX - Returns the X position of the middle of a cell, given its index
+     * @param {number} y - Y position of the carets' tips
+     */
+    const drawListPointers = (g, length, getCenterX, y) => {
+        const { owner, duration, values } = renderPassRef.current;
+        const { row } = OBJECT_TYPES.pointer;
+
+        getListPointers(owner.id, length).forEach((names, index) => {
+            const slot = `${owner.id}:pointer:${names.join(',')}`;
+            const pointer = g.append('g')
+                .attr('class', 'list-pointer')
+                .attr('transform', `translate(${getCenterX(index)}, ${y})`);
+
+            pointer.append('path')
+                .attr('d', `M0,2 L-5,${row - 4} L5,${row - 4} Z`)
+                .attr('fill', COLORS.primary[500]);
+
+            const label = createText(pointer, 0, row + 10, '', {
+                className: 'font-mono text-xs',
+                color: COLORS.primary[700],
+                size: 'xs',
+                weight: 'medium',
+                anchor: 'middle'
+            });
+            names.forEach((name, i) => {
+                if (i > 0) label.append('tspan').text(', ');
+                makeClickable(label.append('tspan').text(name), `Unpin ${name} as an index pointer`,
+                    () => togglePointerPin(name, true));
+            });
+
+            const previousIndex = Number(renderedRef.current.values.get(slot));
+            values.set(slot, String(index));
+            if (duration > 0 && Number.isFinite(previousIndex) && previousIndex !== index) {
+                pointer.attr('transform', `translate(${getCenterX(previousIndex)}, ${y})`)
+                    .transition()
+                    .duration(duration)
+                    .attr('transform', `translate(${getCenterX(index)}, ${y})`);
+            }
+        });
+    };
+
+    /**
+     * Draws a numeric list as vertical bars scaled to value. Cells the current line reads are
+     * marked as compared and cells the previous line wrote as changed; pointer variables that
+     * fall within the list are drawn as carets under their bar
+     * @param {d3.Selection} g - Parent group element
+     * @param {Array} elements - List elements, all numeric
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {string} objectType - 'list', 'tuple' or 'heap'
+     */
+    const drawBars = (g, elements, x, y, objectType = 'list') => {
+        const { width, gap, maxHeight, minHeight, labelRow } = OBJECT_TYPES.bars;
+        const { owner, reads, duration, values } = renderPassRef.current;
+        const colors = getObjectTypeColor(objectType === 'heap' ? 'heap' : 'list');
+        const numbers = elements.map(element => Number(element.value));
+        const readIndexes = reads.get(owner.id) || new Set();
+
+        // Bars stand on zero; negative values hang below it
+        const low = Math.min(0, ...numbers);
+        const high = Math.max(0, ...numbers);
+        const scale = d3.scaleLinear()
+            .domain([low, high === low ? 1 : high])
+            .range([y + maxHeight, y]);
+        const baseline = scale(0);
+        const getBar = (value) => {
+            const height = Math.max(minHeight, Math.abs(scale(value) - baseline));
+            return { y: value >= 0 ? baseline - height : baseline, height };
+        };
+
+        createText(g, x, y - 12, getListLabel(objectType), {
+            className: 'text-xs fill-current',
+            color: colors.text,
+            weight: 'medium',
+            size: 'xs'
+        });
+        drawViewToggle(g, x + getListLabel(objectType).length * 7 + 10, y - 12, 'cells');
+
+        elements.forEach((element, i) => {
+            const barX = x + i * (width + gap);
+            const change = getCellChange(String(i));
+            const marked = change ? getChangeColor(change) : readIndexes.has(i) ? getStatusColor('info') : null;
+            const bar = getBar(numbers[i]);
+            const slot = `${owner.id}:bar:${i}`;
+
+            const rect = createRect(g, barX, bar.y, width, bar.height, {
+                fill: marked ? marked.border : colors.border,
+                stroke: marked ? marked.text : colors.text,
+                strokeWidth: marked ? 2 : 1,
+                radius: 2,
+                className: change ? `change-${change}` : readIndexes.has(i) ? 'read' : null
+            });
+
+            // A bar whose value changed grows or shrinks from its previous height
+            const previous = Number(renderedRef.current.values.get(slot));
+            values.set(slot, String(numbers[i]));
+            if (duration > 0 && Number.isFinite(previous) && previous !== numbers[i]) {
+                const from = getBar(previous);
+                rect.attr('y', from.y)
+                    .attr('height', from.height)
+                    .transition()
+                    .duration(duration)
+                    .attr('y', bar.y)
+                    .attr('height', bar.height);
+            }
+
+            const text = createText(g, barX + width / 2, y + maxHeight + 12, String(element.value), {
+                className: 'font-mono text-xs',
+                color: marked ? marked.hover : colors.text,
+                size: 'xs',
+                anchor: 'middle',
+                weight: marked ? 'medium' : 'normal'
+            });
+            trackValueChange(text, `${owner.id}:${i}`, String(element.value));
+
+            createText(g, barX + width / 2, y + maxHeight + labelRow + 12, i.toString(), {
+                className: 'text-xs fill-current',
+                color: COLORS.gray[500],
+                size: 'xs',
+                anchor: 'middle'
+            });
+        });
+
+        createLine(g, x - gap / 2, baseline, x + elements.length * (width + gap) - gap / 2, baseline, {
+            stroke: colors.text
+        });
+
+        drawListPointers(g, elements.length, index => x + index * (width + gap) + width / 2, y + maxHeight + 2 * labelRow);
+    };
+
+    /**
+     * Draws a rectangular list of lists as one table with row and column indices. The cell the
+     * previous line wrote is marked as changed, and the cells that line read to compute it are shaded
+     * @param {d3.Selection} g - Parent group element
+     * @param {Object} grid - Result of detectGrid
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {Object} heap - Heap object containing the rows
+     * @param {string} objectType - 'list' or 'tuple'
+     */
+    const drawGrid = (g, grid, x, y, heap, objectType = 'list') => {
+        const { diff, previousReads } = renderPassRef.current;
+        const { cellWidth, cellHeight, header, width, height } = getGridSize(grid, heap);
+        const colors = getObjectTypeColor('list');
+        // Reads only explain a write; a line that just compared cells leaves nothing shaded
+        const hasWrite = grid.rowIds.some(rowId => diff?.cells[rowId]);
+
+        const label = `${objectType} ${grid.rowIds.length}×${grid.columns}`;
+        createText(g, x, y - 12, label, {
+            className: 'text-xs fill-current',
+            color: colors.text,
+            weight: 'medium',
+            size: 'xs'
+        });
+        // Square matrices of numbers can also be read as an adjacency matrix
+        if (detectMatrixGraph(heap, grid)) {
+            drawViewToggle(g, x + label.length * 7 + 10, y - 12, 'graph');
+        }
+
+        // Table outline; the index row and column sit inside it
+        createRect(g, x + header, y + header, width - header, height - header, {
+            fill: colors.background,
+            stroke: colors.border,
+            radius: DEFAULTS.borderRadius.sm
+        });
+
+        for (let column = 0; column < grid.columns; column++) {
+            createText(g, x + header + column * cellWidth + cellWidth / 2, y + header - 7, String(column), {
+                className: 'text-xs fill-current',
+                color: COLORS.gray[500],
+                size: 'xs',
+                anchor: 'middle'
+            });
+        }
+
+        grid.rowIds.forEach((rowId, row) => {
+            const rowY = y + header + row * cellHeight;
+
+            createText(g, x + header - 6, rowY + cellHeight / 2 + 4, String(row), {
+                className: 'text-xs fill-current',
+                color: COLORS.gray[500],
+                size: 'xs',
+                anchor: 'end'
+            });
+            if (row > 0) {
+                createLine(g, x + header, rowY, x + width, rowY, { stroke: colors.border });
+            }
+
+            heap[rowId].elements.forEach((element, column) => {
+                const cellX = x + header + column * cellWidth;
+                const change = diff?.cells[rowId]?.[String(column)];
+
+                if (column > 0 && row === 0) {
+                    createLine(g, cellX, y + header, cellX, y + height, { stroke: colors.border });
+                }
+                if (change) {
+                    drawCellChange(g, change, cellX, rowY, cellWidth, cellHeight, 0);
+                } else if (hasWrite && previousReads.get(rowId)?.has(column)) {
+                    const shade = getStatusColor('info');
+                    createRect(g, cellX + 1, rowY + 1, cellWidth - 2, cellHeight - 2, {
+                        fill: shade.bg,
+                        stroke: shade.border,
+                        radius: 0,
+                        className: 'read'
+                    });
+                }
+
+                const valueText = String(element.value ?? 'None');
+                const text = createText(g, cellX + cellWidth / 2, rowY + cellHeight / 2 + 5, valueText, {
+                    className: 'font-mono text-sm',
+                    color: change ? getChangeColor(change).hover : colors.text,
+                    size: 'small',
+                    anchor: 'middle'
+                });
+                // Keyed on the row, so a value keeps its slot whichever way the rows are drawn
+                trackValueChange(text, `${rowId}:${column}`, valueText);
+            });
+        });
+    };
+
+    /**
+     * Gets the force layout of a graph, computing it again only when its nodes or edges change;
+     * the previous layout seeds the new one so the nodes stay roughly where they were
+     * @param {string} id - Heap id of the object drawn as a graph
+     * @param {Object} graph - Result of detectGraph or detectMatrixGraph
+     * @returns {Object} - {positions, width, height} from layoutGraph
+     */
+    const getGraphLayout = (id, graph) => {
+        const signature = getGraphSignature(graph);
+        const cached = graphLayoutsRef.current.get(id);
+        if (cached?.signature === signature) return cached.layout;
+
+        const layout = layoutGraph(graph, cached?.layout.positions);
+        graphLayoutsRef.current.set(id, { signature, layout });
+        return layout;
+    };
+
+    /**
+     * Draws an adjacency list or matrix as nodes and edges. Nodes are colored by the traversal
+     * collections found in the frames: in the queue or stack, visited, and their distance
+     * @param {d3.Selection} g - Parent group element
+     * @param {Object} graph - Result of detectGraph or detectMatrixGraph
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {Object} heap - Heap object
+     * @param {string} label - Kind of graph, shown above it
+     * @param {string} otherView - View the toggle switches back to ('table' or 'grid')
+     */
+    const drawGraph = (g, graph, x, y, heap, label, otherView) => {
+        const { nodeRadius, legendRow } = OBJECT_TYPES.graph;
+        const { owner, frames } = renderPassRef.current;
+        const { positions, width, height } = getGraphLayout(owner.id, graph);
+        const traversal = getTraversalState(frames, heap, graph);
+        const colors = getObjectTypeColor(otherView === 'grid' ? 'list' : 'dict');
+        const roleColors = {
+            frontier: getStatusColor('warning'),
+            visited: getStatusColor('success')
+        };
+
+        createText(g, x, y - 12, label, {
+            className: 'text-xs fill-current',
+            color: colors.text,
+            weight: 'medium',
+            size: 'xs'
+        });
+        drawViewToggle(g, x + label.length * 7 + 10, y - 12, otherView);
+
+        createRect(g, x, y, width, height, {
+            fill: colors.background,
+            stroke: colors.border,
+            radius: DEFAULTS.borderRadius.md
+        });
+
+        // Edges stop at the node outlines; directed edges end in an arrowhead
+        graph.edges.forEach(edge => {
+            const from = positions.get(edge.source);
+            const to = positions.get(edge.target);
+            const length = Math.hypot(to.x - from.x, to.y - from.y);
+            if (length === 0) return;
+
+            const ux = (to.x - from.x) / length;
+            const uy = (to.y - from.y) / length;
+            const end = nodeRadius + (graph.directed ? 3 : 0);
+            const line = createLine(g,
+                x + from.x + ux * nodeRadius, y + from.y + uy * nodeRadius,
+                x + to.x - ux * end, y + to.y - uy * end,
+                { stroke: COLORS.gray[400], strokeWidth: 1.5, className: 'graph-edge' });
+            if (graph.directed) {
+                line.attr('marker-end', `url(#${MARKERS.arrow.id})`);
+            }
+
+            if (edge.weight !== null && edge.weight !== undefined) {
+                createText(g, x + (from.x + to.x) / 2 - uy * 8, y + (from.y + to.y) / 2 + ux * 8 + 4, edge.weight, {
+                    className: 'font-mono text-xs',
+                    color: COLORS.gray[600],
+                    size: 'xs',
+                    anchor: 'middle'
+                });
+            }
+        });
+
+        graph.nodes.forEach(node => {
+            const { x: cx, y: cy } = positions.get(node);
+            const role = traversal.frontier.has(node) ? 'frontier' : traversal.visited.has(node) ? 'visited' : null;
+            const nodeColors = role ? roleColors[role] : null;
+
+            g.append('circle')
+                .attr('class', `graph-node${role ? ` ${role}` : ''}`)
+                .attr('cx', x + cx)
+                .attr('cy', y + cy)
+                .attr('r', nodeRadius)
+                .attr('fill', nodeColors ? nodeColors.border : 'white')
+                .attr('stroke', nodeColors ? nodeColors.text : colors.text)
+                .attr('stroke-width', role ? 2 : 1);
+
+            const text = createText(g, x + cx, y + cy + 5, node, {
+                className: 'font-mono text-sm',
+                color: nodeColors ? nodeColors.hover : colors.text,
+                size: 'small',
+                anchor: 'middle',
+                weight: 'medium'
+            });
+            // A node flips when it joins or leaves a traversal collection
+            trackValueChange(text, `${owner.id}:node:${node}`, `${node}:${role}`);
+
+            if (traversal.dist.has(node)) {
+                const distance = traversal.dist.get(node) === 'inf' ? '∞' : traversal.dist.get(node);
+                const distText = createText(g, x + cx, y + cy + nodeRadius + 12, `d=${distance}`, {
+                    className: 'font-mono text-xs',
+                    color: COLORS.gray[600],
+                    size: 'xs',
+                    anchor: 'middle'
+                });
+                trackValueChange(distText, `${owner.id}:dist:${node}`, distance);
+            }
         });
+
+        // Legend for the collections that were found
+        let legendX = x;
+        [['frontier', 'in queue/stack'], ['visited', 'visited']].forEach(([role, text]) => {
+            if (traversal[role].size === 0) return;
+
+            g.append('circle')
+                .attr('cx', legendX + 5)
+                .attr('cy', y + height + legendRow / 2 + 2)
+                .attr('r', 5)
+                .attr('fill', roleColors[role].border)
+                .attr('stroke', roleColors[role].text);
+            createText(g, legendX + 14, y + height + legendRow / 2 + 6, text, {
+                className: 'text-xs',
+                color: COLORS.gray[600],
+                size: 'xs'
+            });
+            legendX += text.length * 7 + 30;
+        });
+    };
+
+    /**
+     * Measures the outline of a set
+     * @param {Array} elements - Set elements
+     * @returns {Object} - Outline dimensions {width, height}
+     */
+    const getSetSize = (elements) => {
+        const { itemWidth, itemHeight, itemsPerRow, gap, padding } = OBJECT_TYPES.set;
+        const columns = Math.max(1, Math.min(itemsPerRow, elements.length));
+        const rows = Math.max(1, Math.ceil(elements.length / itemsPerRow));
+
+        return {
+            width: columns * itemWidth + (columns - 1) * gap + 2 * padding,
+            height: rows * itemHeight + (rows - 1) * gap + 2 * padding
+        };
+    };
+
+    /**
+     * Draws a set or frozenset as an unordered bag of element pills
+     * @param {d3.Selection} g - Parent group element
+     * @param {Array} elements - Set elements
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {Object} heap - Heap object containing references
+     * @param {string} objectType - 'set' or 'frozenset'
+     * @returns {Object} - Outline dimensions {width, height}
+     */
+    const drawSet = (g, elements, x, y, heap = {}, objectType = 'set') => {
+        if (!elements || !Array.isArray(elements)) {
+            console.warn('Invalid set elements:', elements);
+            return { width: 0, height: 0 };
+        }
+
+        const { itemWidth, itemHeight, itemsPerRow, gap, padding } = OBJECT_TYPES.set;
+        const colors = getObjectTypeColor('set');
+        const { width, height } = getSetSize(elements);
+
+        // Set label
+        createText(g, x, y - 12, objectType, {
+            className: 'text-xs fill-current',
+            color: colors.text,
+            weight: 'medium',
+            size: 'xs'
+        });
+
+        // Rounded outline with no cell dividers or indices - sets have no order
+        createRect(g, x, y, width, height, {
+            fill: colors.background,
+            stroke: colors.border,
+            radius: Math.min(height / 2, 24),
+            strokeWidth: 1.5
+        });
+
+        if (elements.length === 0) {
+            createText(g, x + width / 2, y + height / 2 + 4, 'empty', {
+                className: 'text-xs',
+                color: COLORS.gray[400],
+                size: 'xs',
+                anchor: 'middle',
+                family: 'sans'
+            });
+            return { width, height };
+        }
+
+        elements.forEach((element, i) => {
+            const itemX = x + padding + (i % itemsPerRow) * (itemWidth + gap);
+            const itemY = y + padding + Math.floor(i / itemsPerRow) * (itemHeight + gap);
+
+            createRect(g, itemX, itemY, itemWidth, itemHeight, {
+                fill: 'white',
+                stroke: colors.border,
+                radius: itemHeight / 2
+            });
+            drawCellChange(g, getCellChange(getValueKey(element)), itemX, itemY, itemWidth, itemHeight, itemHeight / 2);
+
+            // Sets have no indices; an item is identified by its value
+            renderListElement(g, element, itemX, itemWidth, itemY, itemHeight, colors, heap, i, getValueKey(element));
+        });
+
+        return { width, height };
+    };
+
+    /**
+     * Draws a deque as a double-ended array with head and tail markers
+     * @param {d3.Selection} g - Parent group element
+     * @param {Object} obj - Deque heap object ({elements, maxlen})
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {Object} heap - Heap object containing references
+     */
+    const drawDeque = (g, obj, x, y, heap = {}) => {
+        const elements = obj.elements || [];
+        const cellSize = LAYOUT.object.cell.size;
+        const cellHeight = LAYOUT.object.cell.height;
+        const colors = getObjectTypeColor('deque');
+        const cellCount = Math.max(1, elements.length);
+        const markerY = y + cellHeight + OBJECT_TYPES.deque.markerOffset;
+
+        // Deque label, with the bound when one was given
+        const label = obj.maxlen !== null && obj.maxlen !== undefined ? `deque (maxlen=${obj.maxlen})` : 'deque';
+        createText(g, x, y - 12, label, {
+            className: 'text-xs fill-current',
+            color: colors.text,
+            weight: 'medium',
+            size: 'xs'
+        });
+
+        // Open ends show that items can be added and removed on both sides
+        createText(g, x - 6, y + cellHeight / 2 + 5, '⇆', {
+            color: colors.text,
+            size: 'small',
+            anchor: 'end'
+        });
+        createText(g, x + cellCount * cellSize + 6, y + cellHeight / 2 + 5, '⇆', {
+            color: colors.text,
+            size: 'small'
+        });
+
+        if (elements.length === 0) {
+            createRect(g, x, y, cellSize, cellHeight, {
+                fill: colors.background,
+                stroke: colors.border,
+                radius: DEFAULTS.borderRadius.sm
+            });
+            createText(g, x + cellSize / 2, y + cellHeight / 2 + 4, 'empty', {
+                className: 'text-xs',
+                color: COLORS.gray[400],
+                size: 'xs',
+                anchor: 'middle',
+                family: 'sans'
+            });
+        }
+
+        elements.forEach((element, i) => {
+            const cellX = x + i * cellSize;
+            const cell = createCellGroup(g, i, cellSize);
+
+            createRect(cell, cellX, y, cellSize, cellHeight, {
+                fill: colors.background,
+                stroke: colors.border,
+                radius: DEFAULTS.borderRadius.sm
+            });
+            drawCellChange(cell, getCellChange(String(i)), cellX, y, cellSize, cellHeight);
+
+            // Index above cell
+            createText(cell, cellX + cellSize / 2, y - 2, i.toString(), {
+                className: 'text-xs fill-current',
+                color: COLORS.gray[500],
+                size: 'xs',
+                anchor: 'middle'
+            });
+
+            renderListElement(cell, element, cellX, cellSize, y, cellHeight, colors, heap, i);
+        });
+
+        // Head and tail markers; a single cell is both
+        const markers = cellCount === 1
+            ? [{ text: 'head / tail', cellX: x }]
+            : [{ text: '▲ head', cellX: x }, { text: 'tail ▲', cellX: x + (cellCount - 1) * cellSize }];
+        markers.forEach(({ text, cellX }) => {
+            createText(g, cellX + cellSize / 2, markerY, text, {
+                className: 'text-xs',
+                color: colors.text,
+                size: 'xs',
+                anchor: 'middle',
+                weight: 'medium'
+            });
+        });
+    };
+
+    /**
+     * Formats a primitive value for display inside a heap object cell
+     * @param {*} value - Primitive value
+     * @returns {string} - Display text
+     */
+    const formatPrimitive = (value) => {
+        // Format booleans with capital first letter (Python style)
+        if (typeof value === 'boolean') {
+            value = value.toString().charAt(0).toUpperCase() + value.toString().slice(1);
+        }
+        // Add quotes for strings
+        return typeof value === 'string' ? `"${value}"` : String(value);
     };
 
     /**
@@ -264,56 +1183,39 @@ const PythonTutorViz = () => {
      * @param {Object} colors - Cell colors
      * @param {Object} heap - Heap object containing references
      * @param {number} index - Element index
-     * @param {number} level - Recursion level
-     * @param {number} parentX - Parent list X position
+     * @param {string|number} slot - Name of the cell within its object (index, key or attribute)
      */
-    const renderListElement = (g, element, cellX, cellSize, y, cellHeight, colors, heap, index, level, parentX) => {
-        if (element.type === 'primitive') {
-            // Format primitive value
-            let value = element.value;
-            // Format booleans with capital first letter (Python style)
-            if (typeof value === 'boolean') {
-                value = value.toString().charAt(0).toUpperCase() + value.toString().slice(1);
-            }
-            // Add quotes for strings
-            const valueStr = typeof value === 'string' ? `"${value}"` : String(value);
+    const renderListElement = (g, element, cellX, cellSize, y, cellHeight, colors, heap, index, slot = index) => {
+        const { owner } = renderPassRef.current;
 
+        if (element.type === 'primitive') {
             // Render primitive value
-            createText(g, cellX + cellSize / 2, y + cellHeight / 2 + 5, valueStr, {
+            const valueText = formatPrimitive(element.value);
+            const text = createText(g, cellX + cellSize / 2, y + cellHeight / 2 + 5, valueText, {
                 className: 'font-mono text-sm',
                 color: colors.text,
                 size: 'small',
                 anchor: 'middle'
             });
+            trackValueChange(text, `${owner.id}:${slot}`, valueText);
         } else if (element.type === 'reference' && element.id && heap[element.id]) {
             // Handle reference to other objects
-            renderReferenceElement(g, element, heap, cellX, cellSize, y, cellHeight, index, level, parentX);
+            renderReferenceElement(g, element, heap, cellX, cellSize, y, cellHeight, index, slot);
         }
     };
 
     /**
-     * Renders a reference element in a list cell
+     * Draws the small type indicator shown in a cell that holds a reference
      * @param {d3.Selection} g - Parent group element
-     * @param {Object} element - Reference element data
-     * @param {Object} heap - Heap object containing references
+     * @param {Object} heapObj - Referenced heap object
      * @param {number} cellX - Cell X position
      * @param {number} cellSize - Cell width
      * @param {number} y - Y position
      * @param {number} cellHeight - Cell height
-     * @param {number} index - Element index
-     * @param {number} level - Recursion level
-     * @param {number} parentX - Parent list X position
+     * @returns {d3.Selection} - The indicator text
      */
-    const renderReferenceElement = (g, element, heap, cellX, cellSize, y, cellHeight, index, level, parentX) => {
-        const heapObj = heap[element.id];
-        const refObjType = heapObj.type || 'primitive';
-        const refColors = getObjectTypeColor(refObjType);
-
-        // Determine reference indicator
-        let indicator = '?';
-        if (heapObj.type === 'list') indicator = '[]';
-        else if (heapObj.type === 'dict') indicator = '{}';
-        else if (heapObj.type === 'function') indicator = 'fn';
+    const drawReferenceIndicator = (g, heapObj, cellX, cellSize, y, cellHeight) => {
+        const refColors = getObjectTypeColor(heapObj.type || 'primitive');
 
         // Reference indicator box
         createRect(g, cellX + cellSize / 2 - 12, y + cellHeight / 2 - 10, 24, 20, {
@@ -324,130 +1226,457 @@ const PythonTutorViz = () => {
         });
 
         // Reference indicator text
-        createText(g, cellX + cellSize / 2, y + cellHeight / 2 + 5, indicator, {
+        return createText(g, cellX + cellSize / 2, y + cellHeight / 2 + 5, getRefIndicatorText(heapObj.type), {
             className: 'font-mono text-sm font-medium',
             color: refColors.text,
             weight: 'medium',
             size: 'small',
             anchor: 'middle'
         });
+    };
 
-        // Calculate position for referenced object using config values
-        const baseHorizontalPos = parentX + heapObj.elements?.length * cellSize + LAYOUT.object.horizontalOffset;
-        let refX, refY;
-
-        if (heapObj.type === 'list') {
-            refX = baseHorizontalPos;
-            refY = y + index * LAYOUT.object.verticalGap;
-        } else if (heapObj.type === 'dict') {
-            refX = baseHorizontalPos;
-            refY = y + index * LAYOUT.object.verticalGap;
-        } else {
-            refX = baseHorizontalPos;
-            refY = y + index * LAYOUT.object.verticalGap;
-        }
+    /**
+     * Renders a reference element in a list cell
+     * @param {d3.Selection} g - Parent group element
+     * @param {Object} element - Reference element data
+     * @param {Object} heap - Heap object containing references
+     * @param {number} cellX - Cell X position
+     * @param {number} cellSize - Cell width
+     * @param {number} y - Y position
+     * @param {number} cellHeight - Cell height
+     * @param {number} index - Element index, used to vary the arrow's curve
+     * @param {string|number} slot - Name of the cell within its object
+     */
+    const renderReferenceElement = (g, element, heap, cellX, cellSize, y, cellHeight, index, slot) => {
+        const { owner, connectors } = renderPassRef.current;
+        const indicator = drawReferenceIndicator(g, heap[element.id], cellX, cellSize, y, cellHeight);
+        trackValueChange(indicator, `${owner.id}:${slot}`, `#${element.id}`);
+
+        // The arrow is keyed on the cell, so pointing it somewhere else swings it to the new target
+        connectors.push({
+            key: `${owner.id}:${slot}`,
+            source: { x: owner.pos.x + cellX + cellSize / 2, y: owner.pos.y + y + cellHeight / 2 },
+            targetId: element.id,
+            level: index
+        });
+    };
 
-        // Draw the referenced object recursively (only if depth not too deep)
-        if (level < 3) { // Add depth limit to prevent infinite recursion
-            if (heapObj.type === 'list') {
-                drawList(g, heapObj.elements, refX, refY, heap, level + 1);
-                drawConnector(g,
-                    { x: cellX + cellSize / 2, y: y + cellHeight / 2 },
-                    { x: refX, y: refY },
-                    false,
-                    index
-                );
-            } else if (heapObj.type === 'dict') {
-                drawDict(g, heapObj.value, refX, refY);
-                drawConnector(g,
-                    { x: cellX + cellSize / 2, y: y + cellHeight / 2 },
-                    { x: refX + (OBJECT_TYPES?.dict?.minWidth || 50) / 2, y: refY },
-                    false,
-                    index
-                );
-            }
-        }
+    /**
+     * Measures the key/value table of a dictionary
+     * @param {Array} entries - Dictionary entries ({key, value} pairs of processed values)
+     * @returns {Object} - Column and table dimensions {keyWidth, valueWidth, width, height}
+     */
+    const getDictSize = (entries) => {
+        const rowHeight = OBJECT_TYPES.dict.entryHeight;
+        const padding = OBJECT_TYPES.dict.padding;
+        const approxCharWidth = 7.7;
+        const minColumnWidth = 60;
+
+        // Size each column to its widest primitive; reference cells only hold an indicator
+        const columnWidth = (cells) => Math.max(
+            minColumnWidth,
+            ...cells.map(cell => cell?.type === 'primitive'
+                ? formatPrimitive(cell.value).length * approxCharWidth + 2 * padding
+                : minColumnWidth)
+        );
+        const keyWidth = columnWidth(entries.map(entry => entry.key));
+        const valueWidth = columnWidth(entries.map(entry => entry.value));
+
+        return {
+            keyWidth,
+            valueWidth,
+            width: keyWidth + valueWidth,
+            height: Math.max(1, entries.length) * rowHeight
+        };
     };
 
     /**
-     * Draws a dictionary or Counter instance representation
+     * Draws a dictionary or Counter instance as a two-column key/value table
      * @param {d3.Selection} g - Parent group element
-     * @param {Object} data - Dictionary data
+     * @param {Array} entries - Dictionary entries ({key, value} pairs of processed values)
      * @param {number} x - X position
      * @param {number} y - Y position
+     * @param {Object} heap - Heap object containing references
      * @param {string} subtype - Optional subtype (e.g., 'Counter')
+     * @param {string} label - Optional label replacing the default one (e.g., 'defaultdict(list)')
+     * @returns {Object} - Table dimensions {width, height}
      */
-    const drawDict = (g, data, x, y, subtype = null) => {
-        if (!data) {
-            console.warn('Invalid dictionary data:', data);
-            return;
+    const drawDict = (g, entries, x, y, heap = {}, subtype = null, label = null) => {
+        if (!entries || !Array.isArray(entries)) {
+            console.warn('Invalid dictionary entries:', entries);
+            return { width: 0, height: 0 };
         }
 
         // Configuration
-        const BOX_HEIGHT = LAYOUT.object.cell.height;
-        const BOX_PADDING = 10;
+        const rowHeight = OBJECT_TYPES.dict.entryHeight;
 
         // Determine dictionary type and colors
         const isCounter = subtype === 'Counter';
-        const labelText = isCounter ? 'Counter instance' : 'dict';
+        const labelText = label || (isCounter ? 'Counter instance' : 'dict');
         const colors = getObjectTypeColor('dict');
 
-        // Format dictionary as string
-        let dictContentStr = "";
-        const entries = Object.entries(data);
+        const { keyWidth, valueWidth, width: tableWidth, height: tableHeight } = getDictSize(entries);
+
+        // Dict label
+        createText(g, x, y - 12, labelText, {
+            className: 'text-xs fill-current',
+            color: colors.text,
+            weight: 'medium',
+            size: 'xs'
+        });
+
+        // Empty dictionaries still get a box to point at
+        if (entries.length === 0) {
+            createRect(g, x, y, tableWidth, rowHeight, {
+                fill: colors.background,
+                stroke: colors.border,
+                radius: DEFAULTS.borderRadius.sm
+            });
+            createText(g, x + tableWidth / 2, y + rowHeight / 2 + 5, 'empty', {
+                className: 'text-xs',
+                color: COLORS.gray[400],
+                size: 'xs',
+                anchor: 'middle',
+                family: 'sans'
+            });
+            return { width: tableWidth, height: rowHeight };
+        }
+
+        entries.forEach((entry, i) => {
+            const rowY = y + i * rowHeight;
+            const valueX = x + keyWidth;
+
+            // Key cell
+            createRect(g, x, rowY, keyWidth, rowHeight, {
+                fill: COLORS.gray[50],
+                stroke: colors.border,
+                radius: 0
+            });
+
+            // Value cell
+            createRect(g, valueX, rowY, valueWidth, rowHeight, {
+                fill: colors.background,
+                stroke: colors.border,
+                radius: 0
+            });
+
+            // Rows are identified by their key, so a value that changes flips in place
+            const keySlot = getValueKey(entry.key);
+            const change = getCellChange(keySlot);
+            drawCellChange(g, change, valueX, rowY, valueWidth, rowHeight, 0);
+            // A new key marks the whole row
+            if (change === 'added') {
+                drawCellChange(g, change, x, rowY, keyWidth, rowHeight, 0);
+            }
+            renderListElement(g, entry.key, x, keyWidth, rowY, rowHeight, colors, heap, i, `key:${keySlot}`);
+            renderListElement(g, entry.value, valueX, valueWidth, rowY, rowHeight, colors, heap, i, `value:${keySlot}`);
+        });
+
+        // Outer border
+        createRect(g, x, y, tableWidth, tableHeight, {
+            fill: 'none',
+            stroke: colors.border,
+            radius: DEFAULTS.borderRadius.sm,
+            strokeWidth: 1.5
+        });
+
+        return { width: tableWidth, height: tableHeight };
+    };
+
+    /**
+     * Measures the attribute box of a class instance or class object
+     * @param {Object} obj - Instance or class heap object
+     * @returns {Object} - Column and box dimensions {nameWidth, valueWidth, width, height}
+     */
+    const getInstanceSize = (obj) => {
+        const { rowHeight, padding, minColumnWidth } = OBJECT_TYPES.instance;
+        const approxCharWidth = 7.7;
+        const attributes = obj.attributes || [];
+        const methods = obj.type === 'class' ? obj.methods || [] : [];
+
+        // Attribute names on the left; values, or method signatures for classes, on the right
+        const nameWidth = Math.max(
+            minColumnWidth,
+            ...attributes.map(attr => attr.name.length * approxCharWidth + 2 * padding)
+        );
+        const valueWidth = Math.max(
+            minColumnWidth,
+            ...attributes.map(attr => attr.value?.type === 'primitive'
+                ? formatPrimitive(attr.value.value).length * approxCharWidth + 2 * padding
+                : minColumnWidth),
+            ...methods.map(signature => signature.length * approxCharWidth + 2 * padding - nameWidth)
+        );
+        const rowCount = attributes.length + methods.length;
+
+        return {
+            nameWidth,
+            valueWidth,
+            width: nameWidth + valueWidth,
+            height: Math.max(1, rowCount) * rowHeight
+        };
+    };
+
+    /**
+     * Draws a class instance or class object as a box of attribute rows
+     * @param {d3.Selection} g - Parent group element
+     * @param {Object} obj - Instance ({className, attributes}) or class ({name, bases, attributes, methods})
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {Object} heap - Heap object containing references
+     * @param {Set<string>|null} structureIds - Nodes of a laid-out structure whose pointers are drawn separately
+     * @returns {Object} - Box dimensions {width, height}
+     */
+    const drawInstance = (g, obj, x, y, heap = {}, structureIds = null) => {
+        const { rowHeight, padding } = OBJECT_TYPES.instance;
+        const isClass = obj.type === 'class';
+        const colors = getObjectTypeColor(obj.type);
+        const attributes = obj.attributes || [];
+        const methods = isClass ? obj.methods || [] : [];
+        const { nameWidth, valueWidth, width: boxWidth, height: boxHeight } = getInstanceSize(obj);
+        const rowCount = attributes.length + methods.length;
+
+        const labelText = isClass
+            ? `class ${obj.name}${obj.bases?.length ? `(${obj.bases.join(', ')})` : ''}`
+            : `${obj.className} instance`;
+
+        createText(g, x, y - 12, labelText, {
+            className: 'text-xs fill-current',
+            color: colors.text,
+            weight: 'medium',
+            size: 'xs'
+        });
+
+        createRect(g, x, y, boxWidth, boxHeight, {
+            fill: colors.background,
+            stroke: colors.border,
+            radius: DEFAULTS.borderRadius.sm
+        });
+
+        if (rowCount === 0) {
+            createText(g, x + boxWidth / 2, y + rowHeight / 2 + 5, 'no attributes', {
+                className: 'text-xs',
+                color: COLORS.gray[400],
+                size: 'xs',
+                anchor: 'middle',
+                family: 'sans'
+            });
+        }
+
+        attributes.forEach((attr, i) => {
+            const rowY = y + i * rowHeight;
+            const valueX = x + nameWidth;
+
+            createRect(g, x, rowY, nameWidth, rowHeight, {
+                fill: COLORS.gray[50],
+                stroke: colors.border,
+                radius: 0
+            });
+            createText(g, x + padding, rowY + rowHeight / 2 + 5, attr.name, {
+                className: 'font-mono text-sm',
+                color: colors.text,
+                size: 'small'
+            });
+
+            createRect(g, valueX, rowY, valueWidth, rowHeight, {
+                fill: 'white',
+                stroke: colors.border,
+                radius: 0
+            });
+            drawCellChange(g, getCellChange(attr.name), valueX, rowY, valueWidth, rowHeight, 0);
+
+            if (attr.value?.type === 'reference' && structureIds?.has(attr.value.id) && heap[attr.value.id]) {
+                // Pointers between nodes of a linked list or tree come from the structure's own edges
+                drawReferenceIndicator(g, heap[attr.value.id], valueX, valueWidth, rowY, rowHeight);
+            } else {
+                renderListElement(g, attr.value, valueX, valueWidth, rowY, rowHeight, colors, heap, i, attr.name);
+            }
+        });
 
-        dictContentStr = entries.map(([key, value]) => {
-            const formattedKey = typeof key === 'string' ? `'${key}'` : String(key);
-            const formattedValue = typeof value === 'string' ? `'${value}'` : String(value);
-            return `${formattedKey}: ${formattedValue}`;
-        }).join(', ');
+        // Methods span both columns below the attributes
+        methods.forEach((signature, i) => {
+            const rowY = y + (attributes.length + i) * rowHeight;
+            const functionColors = getObjectTypeColor('function');
 
-        let fullString = isCounter
-            ? `Counter({${dictContentStr}})`
-            : `{${dictContentStr}}`;
+            createRect(g, x, rowY, boxWidth, rowHeight, {
+                fill: functionColors.background,
+                stroke: colors.border,
+                radius: 0
+            });
+            createText(g, x + padding, rowY + rowHeight / 2 + 5, `def ${signature}`, {
+                className: 'font-mono text-sm',
+                color: functionColors.text,
+                size: 'small'
+            });
+        });
+
+        // Outer border
+        createRect(g, x, y, boxWidth, boxHeight, {
+            fill: 'none',
+            stroke: colors.border,
+            radius: DEFAULTS.borderRadius.sm,
+            strokeWidth: 1.5
+        });
+
+        return { width: boxWidth, height: boxHeight };
+    };
+
+    /**
+     * Decides which heap objects are drawn and where, following references out of the frames.
+     * Mirrors the graph the layout was computed from: every object is drawn once, nested objects
+     * up to MAX_NESTING_LEVEL, and linked lists and trees keep their own shape
+     * @param {Array<Object>} descriptors - Frames as returned by prepareCallStack
+     * @param {Object} heap - Heap object
+     * @returns {Object} - {objects: heap id -> {id, obj, pos, structureIds}, edges: structure connectors}
+     */
+    const buildHeapScene = (descriptors, heap) => {
+        const objects = new Map();
+        const edges = [];
+
+        const place = (id, pos, structureIds = null) => {
+            objects.set(id, { id, obj: heap[id], pos, structureIds });
+        };
+
+        // Objects without a layout position go to the right of the object that refers to them
+        const visitChildren = (id, level) => {
+            const parent = objects.get(id);
+            // Grids and graphs draw the objects they refer to inside themselves
+            if (level >= MAX_NESTING_LEVEL || measureHeapObject(parent.obj, id, heap).inlineChildren) return;
+
+            getReferencedIds(parent.obj).forEach((childId, i) => {
+                const child = heap[childId];
+                // Functions are only drawn when a variable refers to them directly
+                if (!child || child.type === 'function' || objects.has(childId)) return;
+
+                place(childId, getObjectPosition(childId) || {
+                    x: parent.pos.x + measureHeapObject(parent.obj, parent.id, heap).width + LAYOUT.object.horizontalOffset,
+                    y: parent.pos.y + i * LAYOUT.object.verticalGap
+                });
+                visitChildren(childId, level + 1);
+            });
+        };
+
+        // Nodes are placed relative to the root unless the layout or the user put them somewhere
+        const placeStructure = (structure, rootPos) => {
+            const local = layoutStructure(structure, { x: 0, y: 0 }, id => getInstanceSize(heap[id]), heap);
+            const rootOffset = local.get(structure.rootId);
+            const structureIds = new Set(local.keys());
+
+            local.forEach((pos, id) => place(id, getObjectPosition(id) || {
+                x: rootPos.x + pos.x - rootOffset.x,
+                y: rootPos.y + pos.y - rootOffset.y
+            }, structureIds));
+            local.forEach((pos, id) => visitChildren(id, 1));
+            edges.push(...getStructureEdges(structure, objects, heap));
+        };
+
+        // Same structures as the layout: each one placed from its head, whichever variable comes first
+        const structures = findStructures(heap, descriptors.flatMap(descriptor =>
+            Object.values(descriptor.variables).filter(data => data?.type === 'reference').map(data => data.id)));
+
+        descriptors.forEach(descriptor => {
+            Object.values(descriptor.variables).forEach((data, i) => {
+                if (data?.type !== 'reference' || !heap[data.id] || objects.has(data.id)) return;
+
+                const obj = heap[data.id];
+                const structure = structures.get(data.id);
+                const pos = getObjectPosition(structure?.rootId ?? data.id) ||
+                    utils.calculateHeapObjectPosition(descriptor.heapOffset + i, obj.type);
+
+                if (structure) {
+                    placeStructure(structure, pos);
+                } else {
+                    place(data.id, pos);
+                    visitChildren(data.id, 0);
+                }
+            });
+        });
+
+        return { objects, edges };
+    };
 
-        // Calculate box dimensions based on content
-        const approxCharWidth = 7.7;
-        const estimatedTextWidth = fullString.length * approxCharWidth;
-        const boxWidth = Math.max(
-            OBJECT_TYPES.dict.minWidth || 150,
-            estimatedTextWidth + 2 * BOX_PADDING
-        );
+    /**
+     * Gets the arrows between the nodes of a linked list or tree
+     * @param {Object} structure - Result of detectStructure
+     * @param {Map<string, Object>} objects - Placed heap objects
+     * @param {Object} heap - Heap object
+     * @returns {Array<Object>} - Connectors, keyed like the pointer attributes they leave from
+     */
+    const getStructureEdges = (structure, objects, heap) => {
+        const { rowHeight } = OBJECT_TYPES.instance;
+
+        return structure.edges.map(edge => {
+            const fromPos = objects.get(edge.from).pos;
+            const toPos = objects.get(edge.to).pos;
+            const fromSize = getInstanceSize(heap[edge.from]);
+            const attrIndex = heap[edge.from].attributes.findIndex(attr => attr.name === edge.field);
+            const key = `${edge.from}:${edge.field}`;
+
+            // Arrows leave from the pointer's value cell
+            const source = {
+                x: fromPos.x + fromSize.nameWidth + fromSize.valueWidth / 2,
+                y: fromPos.y + attrIndex * rowHeight + rowHeight / 2
+            };
+
+            // Cycles and shared nodes curve back to a node that is already placed
+            if (edge.type === 'back') {
+                return { key, source, target: toPos, level: 2, isBack: true };
+            }
 
-        // Dict label
-        createText(g, x, y - 12, labelText, {
-            className: 'text-xs fill-current',
-            color: colors.text,
-            weight: STYLES.typography.fontWeight.medium,
-            size: STYLES.typography.fontSize.xs
+            // Lists point at the next node's side, trees at the child's top
+            const target = structure.kind === 'list'
+                ? { x: toPos.x, y: toPos.y + rowHeight / 2 }
+                : { x: toPos.x + getInstanceSize(heap[edge.to]).width / 2, y: toPos.y };
+            return { key, source, target, level: 1 };
         });
+    };
 
-        // Dictionary background
-        createRect(g, x, y, boxWidth, BOX_HEIGHT, {
-            fill: colors.background,
-            stroke: colors.border,
-            radius: DEFAULTS.borderRadius.sm
-        });
+    /**
+     * Draws the heap objects of a step, keyed on heap id so an object that stays moves to its new place
+     * @param {d3.Selection} layer - Objects layer
+     * @param {Object} scene - Result of buildHeapScene
+     * @param {Object} heap - Heap object
+     */
+    const drawHeapObjects = (layer, scene, heap) => {
+        const translate = (d) => `translate(${d.pos.x}, ${d.pos.y})`;
+
+        layer.selectAll('g.heap-object:not(.exiting)')
+            .data(Array.from(scene.objects.values()), d => d.id)
+            .join(
+                enter => enter.append('g')
+                    .attr('class', 'heap-object')
+                    .attr('data-id', d => d.id)
+                    .attr('transform', translate)
+                    .style('cursor', 'move')
+                    .call(fadeIn)
+                    .call(makeDraggable),
+                update => update.call(group => withTransition(group).attr('transform', translate)),
+                exit => fadeOut(exit)
+            )
+            .each(function (entry) {
+                // Contents are drawn at the origin; only the group's transform carries the position
+                const group = d3.select(this);
+                group.selectAll('*').remove();
+
+                renderPassRef.current.owner = {
+                    id: entry.id,
+                    pos: entry.pos,
+                    previousLength: renderedRef.current.lengths.get(entry.id)
+                };
+                renderHeapObject(group, entry.obj, { x: 0, y: 0 }, heap, entry.structureIds);
+            });
 
-        // Dictionary content
-        createText(g, x + BOX_PADDING, y + BOX_HEIGHT / 2 + 5, fullString, {
-            className: 'font-mono text-sm',
-            color: colors.text,
-            size: STYLES.typography.fontSize.small,
-            anchor: 'start'
-        });
+        renderPassRef.current.owner = null;
     };
 
     /**
-     * Draws a connector between two points
-     * @param {d3.Selection} svg - SVG element
+     * Builds the path of a connector between two points
      * @param {Object} source - Source coordinates {x, y}
      * @param {Object} target - Target coordinates {x, y}
      * @param {boolean} isFrame - Whether it's a frame connector
      * @param {number} level - Level for curve variation
-     * @returns {d3.Selection} - The created path
+     * @returns {string} - SVG path data
      */
-    const drawConnector = (svg, source, target, isFrame = false, level = 0) => {
+    const getConnectorPath = (source, target, isFrame = false, level = 0) => {
         const path = d3.path();
 
         if (isFrame) {
@@ -490,12 +1719,85 @@ const PythonTutorViz = () => {
             path.quadraticCurveTo(controlX, controlY, target.x, target.y);
         }
 
-        return svg.append('path')
-            .attr('d', path.toString())
-            .attr('fill', 'none')
-            .attr('stroke', STYLES.colors.connectors.line)
-            .attr('stroke-width', 1.5)
-            .attr('marker-end', `url(#${MARKERS.arrow.id})`);
+        return path.toString();
+    };
+
+    /**
+     * Gets where a connector ends on the object it points at
+     * @param {Object} connector - Connector with a targetId
+     * @param {Map<string, Object>} objects - Placed heap objects
+     * @returns {Object|null} - Target coordinates {x, y}, or null when the object isn't drawn
+     */
+    const getConnectorTarget = (connector, objects) => {
+        const pos = objects.get(connector.targetId)?.pos;
+        if (!pos) return null;
+
+        // Frame arrows meet the object just below its top edge
+        return connector.isFrame ? { x: pos.x, y: pos.y + 10 } : { x: pos.x, y: pos.y };
+    };
+
+    /**
+     * Draws the arrows of a step, keyed on where they start: an arrow whose target changed
+     * swings over to it, new arrows are drawn out from their source
+     * @param {d3.Selection} layer - Connectors layer
+     * @param {Array<Object>} connectors - {key, source, target | targetId, isFrame, level, isBack}
+     * @param {Map<string, Object>} objects - Placed heap objects
+     */
+    const drawConnectors = (layer, connectors, objects) => {
+        // Arrows to objects that aren't drawn (e.g. beyond the nesting limit) are left out
+        const resolved = connectors
+            .map(connector => ({ ...connector, target: connector.target || getConnectorTarget(connector, objects) }))
+            .filter(connector => connector.target);
+        const pathOf = (d) => getConnectorPath(d.source, d.target, d.isFrame, d.level);
+
+        layer.selectAll('path.connector:not(.exiting)')
+            .data(resolved, d => d.key)
+            .join(
+                enter => enter.append('path')
+                    .attr('class', 'connector')
+                    .attr('fill', 'none')
+                    .attr('stroke-width', 1.5)
+                    .attr('marker-end', `url(#${MARKERS.arrow.id})`)
+                    .attr('d', pathOf)
+                    .call(drawIn),
+                update => update.call(path => {
+                    // An arrow still being drawn in is finished before it moves
+                    path.interrupt('fade')
+                        .style('stroke-dasharray', null)
+                        .style('stroke-dashoffset', null)
+                        .style('opacity', null);
+                    withTransition(path).attr('d', pathOf);
+                }),
+                exit => fadeOut(exit)
+            )
+            .attr('stroke', d => d.isBack ? COLORS.state.warning[500] : STYLES.colors.connectors.line)
+            .attr('stroke-dasharray', d => d.isBack ? '5,3' : null);
+    };
+
+    /**
+     * Draws new arrows out from their source; dashed back-edges fade in instead
+     * @param {d3.Selection} paths - Entering connector paths
+     */
+    const drawIn = (paths) => {
+        const { duration } = renderPassRef.current;
+        if (duration === 0) return;
+
+        paths.filter(d => d.isBack).call(fadeIn);
+        paths.filter(d => !d.isBack)
+            .style('stroke-dasharray', function () {
+                const length = this.getTotalLength();
+                return `${length} ${length}`;
+            })
+            .style('stroke-dashoffset', function () {
+                return this.getTotalLength();
+            })
+            .transition('fade')
+            .duration(duration)
+            .ease(d3.easeLinear)
+            .style('stroke-dashoffset', 0)
+            .on('end', function () {
+                d3.select(this).style('stroke-dasharray', null).style('stroke-dashoffset', null);
+            });
     };
 
     // =====================================================
@@ -503,14 +1805,21 @@ const PythonTutorViz = () => {
     // =====================================================
 
     /**
-     * Draws the entire call stack with frames
-     * @param {d3.Selection} g - Parent group element
+     * Lays out the call stack: one descriptor per frame, keyed on its depth and name.
+     * The error message and list info shown between frames are drawn into the decorations layer
+     * @param {d3.Selection} g - Decorations layer
      * @param {Array} frames - Frames data
      * @param {Object} heap - Heap object
+     * @param {Object|null} exception - Exception raised in the innermost frame at this step
+     * @returns {Array<Object>} - Frame descriptors {key, name, isHighlighted, variables, y, ...}
      */
-    const drawCallStack = (g, frames, heap) => {
+    const prepareCallStack = (g, frames, heap, exception = null) => {
         let currentY = 0;
-        let contentWidth = DEFAULTS.svgSize.width;
+        // Running variable count so heap objects from different frames get distinct slots
+        let variableOffset = 0;
+        const descriptors = [];
+
+        g.selectAll('*').remove();
 
         // Check if there's an error in the output
         const hasError = frames.some(frame =>
@@ -538,10 +1847,6 @@ const PythonTutorViz = () => {
                 return;
             }
 
-            const frameGroup = g.append('g')
-                .attr('class', 'frame')
-                .attr('transform', `translate(0, ${currentY})`);
-
             // Create a copy of variables to modify
             let variables = { ...frameInfo.variables } || {};
 
@@ -550,41 +1855,45 @@ const PythonTutorViz = () => {
                 delete variables.size;
             }
 
+            // Show the value a returning frame hands back to its caller, or the exception that ended it
+            if (frameInfo.returnValue) {
+                variables[RETURN_VALUE_LABEL] = frameInfo.returnValue;
+            } else if (frameInfo.raised) {
+                variables[RAISED_LABEL] = {
+                    type: 'primitive',
+                    value: `${frameInfo.raised.type}: ${frameInfo.raised.message}`
+                };
+            }
+
+            // Show the exception in the frame that raised it
+            if (exception && frameInfo.is_highlighted) {
+                variables[EXCEPTION_LABEL] = {
+                    type: 'primitive',
+                    value: `${exception.type}: ${exception.message}`
+                };
+            }
+
             const varCount = Object.keys(variables).length;
             const frameHeight = utils.calculateFrameHeight(varCount);
             const { totalWidth, leftColumnWidth } = calculateFrameWidth(variables);
 
-            // Frame background
-            createRect(frameGroup, 0, 0, totalWidth, frameHeight, {
-                fill: frameInfo.is_highlighted ? STYLES.colors.frame.background : COLORS.gray[50],
-                stroke: STYLES.colors.frame.border,
-                radius: DEFAULTS.borderRadius.md,
-                strokeWidth: 1.5
-            });
-
-            // Add grid structure
-            drawFrameGrid(frameGroup, variables, totalWidth, frameHeight, leftColumnWidth);
-
-            // Frame title with enhanced styling
-            createRect(frameGroup, 0, 0, totalWidth, 35, {
-                fill: COLORS.primary[100],
-                radius: DEFAULTS.borderRadius.md
-            }).attr('ry', 0);
-
-            createText(frameGroup, 12, 24, frameInfo.name, {
-                className: 'font-mono text-base font-semibold',
-                color: COLORS.primary[800],
-                size: 'base',
-                weight: 'semibold'
-            });
-
-            // Render variables
-            Object.entries(variables).forEach(([name, data], i) => {
-                renderVariable(frameGroup, name, data, leftColumnWidth, i, heap, g);
+            // A frame keeps its key for as long as the call is on the stack
+            descriptors.push({
+                key: getFrameKey(frameInfo, frameIndex),
+                name: frameInfo.name,
+                isHighlighted: Boolean(frameInfo.is_highlighted),
+                variables,
+                pointerNames: frameInfo.pointerNames || {},
+                y: currentY,
+                totalWidth,
+                leftColumnWidth,
+                frameHeight,
+                heapOffset: variableOffset
             });
 
             // Update position for next frame
             currentY += frameHeight + 30;
+            variableOffset += varCount;
 
             // Add list size info and indicators if this is the global frame
             if (frameInfo.name === 'Global frame' && listInfo.length > 0) {
@@ -592,8 +1901,98 @@ const PythonTutorViz = () => {
             }
         });
 
-        // Update SVG dimensions
-        updateSvgDimensions(currentY);
+        return descriptors;
+    };
+
+    /**
+     * Draws the frames of the call stack, keyed so frames that stay on the stack are updated in place
+     * @param {d3.Selection} layer - Frames layer
+     * @param {Array<Object>} descriptors - Frames as returned by prepareCallStack
+     * @param {Object} heap - Heap object
+     */
+    const drawCallStack = (layer, descriptors, heap) => {
+        const translate = (d) => `translate(0, ${d.y})`;
+
+        layer.selectAll('g.frame:not(.exiting)')
+            .data(descriptors, d => d.key)
+            .join(
+                enter => enter.append('g')
+                    .attr('class', 'frame')
+                    .attr('transform', translate)
+                    .call(frame => {
+                        frame.append('g').attr('class', 'frame-chrome');
+                        frame.append('g').attr('class', 'frame-rows');
+                    })
+                    .call(fadeIn),
+                update => update.call(frame => withTransition(frame).attr('transform', translate)),
+                exit => fadeOut(exit)
+            )
+            .each(function (descriptor) {
+                const frameGroup = d3.select(this);
+                drawFrameChrome(frameGroup.select('.frame-chrome'), descriptor);
+                drawFrameRows(frameGroup.select('.frame-rows'), descriptor, heap);
+            });
+    };
+
+    /**
+     * Draws a frame's background, grid and title
+     * @param {d3.Selection} chrome - Frame chrome group
+     * @param {Object} descriptor - Frame descriptor
+     */
+    const drawFrameChrome = (chrome, descriptor) => {
+        const { variables, totalWidth, leftColumnWidth, frameHeight } = descriptor;
+        chrome.selectAll('*').remove();
+
+        // Frame background
+        createRect(chrome, 0, 0, totalWidth, frameHeight, {
+            fill: descriptor.isHighlighted ? STYLES.colors.frame.background : COLORS.gray[50],
+            stroke: STYLES.colors.frame.border,
+            radius: DEFAULTS.borderRadius.md,
+            strokeWidth: 1.5
+        });
+
+        // Add grid structure
+        drawFrameGrid(chrome, variables, totalWidth, frameHeight, leftColumnWidth);
+
+        // Frame title with enhanced styling
+        createRect(chrome, 0, 0, totalWidth, 35, {
+            fill: COLORS.primary[100],
+            radius: DEFAULTS.borderRadius.md
+        }).attr('ry', 0);
+
+        createText(chrome, 12, 24, descriptor.name, {
+            className: 'font-mono text-base font-semibold',
+            color: COLORS.primary[800],
+            size: 'base',
+            weight: 'semibold'
+        });
+    };
+
+    /**
+     * Draws a frame's variable rows, keyed on variable name
+     * @param {d3.Selection} rowsGroup - Frame rows group
+     * @param {Object} descriptor - Frame descriptor
+     * @param {Object} heap - Heap object
+     */
+    const drawFrameRows = (rowsGroup, descriptor, heap) => {
+        const rows = Object.entries(descriptor.variables).map(([name, data], index) => ({ name, data, index }));
+        const translate = (d) => `translate(0, ${45 + d.index * LAYOUT.frame.lineHeight})`;
+
+        rowsGroup.selectAll('g.variable:not(.exiting)')
+            .data(rows, d => d.name)
+            .join(
+                enter => enter.append('g')
+                    .attr('class', 'variable')
+                    .attr('transform', translate)
+                    .call(fadeIn),
+                update => update.call(row => withTransition(row).attr('transform', translate)),
+                exit => fadeOut(exit)
+            )
+            .each(function (row) {
+                const rowGroup = d3.select(this);
+                rowGroup.selectAll('*').remove();
+                renderVariable(rowGroup, row.name, row.data, descriptor, row.index, heap);
+            });
     };
 
     /**
@@ -748,20 +2147,6 @@ const PythonTutorViz = () => {
         return indicatorY + indicatorHeight + 30;
     };
 
-    /**
-     * Updates SVG dimensions based on content height
-     * @param {number} currentY - Current Y position
-     */
-    const updateSvgDimensions = (currentY) => {
-        const height = Math.max(
-            DEFAULTS.svgSize.height,
-            currentY + LAYOUT.margin.top + LAYOUT.margin.bottom + 50
-        );
-
-        d3.select(svgRef.current)
-            .attr('height', height)
-            .attr('viewBox', [0, 0, 3000, height]);
-    };
 
     /**
      * Calculates frame width based on variable names and values
@@ -822,29 +2207,56 @@ const PythonTutorViz = () => {
     };
 
     /**
-     * Renders a variable in a frame
-     * @param {d3.Selection} frameGroup - Frame group element
+     * Renders a variable row of a frame
+     * @param {d3.Selection} rowGroup - Row group element, positioned at the row's top
      * @param {string} name - Variable name
      * @param {Object} data - Variable data
-     * @param {number} leftColumnWidth - Left column width
+     * @param {Object} descriptor - Frame descriptor
      * @param {number} index - Variable index
      * @param {Object} heap - Heap object
-     * @param {d3.Selection} g - Main group element
      */
-    const renderVariable = (frameGroup, name, data, leftColumnWidth, index, heap, g) => {
-        const y = 45 + index * LAYOUT.frame.lineHeight;
+    const renderVariable = (rowGroup, name, data, descriptor, index, heap) => {
+        const isSyntheticRow = name === RETURN_VALUE_LABEL || name === EXCEPTION_LABEL || name === RAISED_LABEL;
+        const slot = `${descriptor.key}:${name}`;
+
+        // Variables added or reassigned since the previous step get a tinted row with an accent bar
+        const change = renderPassRef.current.diff?.variables[descriptor.key]?.[name];
+        if (change) {
+            const colors = getChangeColor(change);
+            const rowHeight = LAYOUT.frame.lineHeight;
+            createRect(rowGroup, 1, -9, descriptor.totalWidth - 2, rowHeight - 2, {
+                fill: colors.bg,
+                radius: 0,
+                className: `change-${change}`
+            });
+            createRect(rowGroup, 1, -9, 3, rowHeight - 2, {
+                fill: colors.text,
+                radius: 0
+            });
+        }
+
+        // Ints can be pinned as index pointers by clicking their name; pointers are named in blue
+        const canPoint = !isSyntheticRow && isIntValue(data);
+        const isPointer = canPoint && isPointerVariable(descriptor, name);
 
-        // Variable name
-        createText(frameGroup, 15, y + 12, name, {
+        // Variable name (return value and exception rows use sans labels like Python Tutor)
+        const nameText = createText(rowGroup, 15, 12, name, {
             className: 'font-mono text-base',
-            color: STYLES.colors.text.primary,
-            size: 'base'
+            color: name === EXCEPTION_LABEL || name === RAISED_LABEL
+                ? COLORS.state.error[600]
+                : (isSyntheticRow ? STYLES.colors.text.secondary : (isPointer ? COLORS.primary[600] : STYLES.colors.text.primary)),
+            size: 'base',
+            family: isSyntheticRow ? 'sans' : null
         });
+        if (canPoint) {
+            makeClickable(nameText, isPointer ? `Unpin ${name} as an index pointer` : `Pin ${name} as an index pointer`,
+                () => togglePointerPin(name, isPointer));
+        }
 
         if (data.type === 'primitive') {
-            renderPrimitiveVariable(frameGroup, data, leftColumnWidth, y);
+            renderPrimitiveVariable(rowGroup, data, descriptor.leftColumnWidth, 0, slot);
         } else if (data.type === 'reference' && heap[data.id]) {
-            renderReferenceVariable(frameGroup, data, heap, leftColumnWidth, y, index, g);
+            renderReferenceVariable(rowGroup, data, heap, descriptor, index, slot);
         }
     };
 
@@ -854,8 +2266,9 @@ const PythonTutorViz = () => {
      * @param {Object} data - Variable data
      * @param {number} leftColumnWidth - Left column width
      * @param {number} y - Y position
+     * @param {string} slot - Frame and variable the value belongs to
      */
-    const renderPrimitiveVariable = (frameGroup, data, leftColumnWidth, y) => {
+    const renderPrimitiveVariable = (frameGroup, data, leftColumnWidth, y, slot) => {
         let valueText = data.value !== undefined && data.value !== null
             ? String(data.value)
             : '';
@@ -876,30 +2289,30 @@ const PythonTutorViz = () => {
         });
 
         // Value text
-        createText(frameGroup, leftColumnWidth + 15, y + 16, valueText, {
+        const text = createText(frameGroup, leftColumnWidth + 15, y + 16, valueText, {
             className: 'font-mono text-base',
             color: primitiveColors.text,
             size: 'base'
         });
+        trackValueChange(text, slot, valueText);
     };
 
     /**
-     * Renders a reference variable
-     * @param {d3.Selection} frameGroup - Frame group element
+     * Renders a reference variable and queues its arrow to the referenced object
+     * @param {d3.Selection} rowGroup - Row group element
      * @param {Object} data - Variable data
      * @param {Object} heap - Heap object
-     * @param {number} leftColumnWidth - Left column width
-     * @param {number} y - Y position
+     * @param {Object} descriptor - Frame descriptor
      * @param {number} index - Variable index
-     * @param {d3.Selection} g - Main group element
+     * @param {string} slot - Frame and variable the reference belongs to
      */
-    const renderReferenceVariable = (frameGroup, data, heap, leftColumnWidth, y, index, g) => {
+    const renderReferenceVariable = (rowGroup, data, heap, descriptor, index, slot) => {
+        const { leftColumnWidth } = descriptor;
         const obj = heap[data.id];
-        const heapPos = utils.calculateHeapObjectPosition(index, obj.type);
         const refColors = getObjectTypeColor(obj.type);
 
         // Reference indicator
-        createRect(frameGroup, leftColumnWidth + 10, y + 2, 30, 20, {
+        createRect(rowGroup, leftColumnWidth + 10, 2, 30, 20, {
             fill: refColors.background,
             stroke: refColors.border,
             radius: 4,
@@ -908,23 +2321,22 @@ const PythonTutorViz = () => {
 
         // Reference type text
         let refText = getRefIndicatorText(obj.type);
-        createText(frameGroup, leftColumnWidth + 25, y + 16, refText, {
+        const text = createText(rowGroup, leftColumnWidth + 25, 16, refText, {
             className: 'font-mono text-sm font-medium',
             color: refColors.text,
             size: 'small',
             weight: 'semibold',
             anchor: 'middle'
         });
-
-        // Draw the referenced heap object
-        renderHeapObject(g, obj, heapPos, heap);
-
-        // Draw connection
-        drawConnector(g,
-            { x: leftColumnWidth + 25, y: y + 22 },
-            { x: heapPos.x, y: heapPos.y + 10 },
-            true
-        );
+        trackValueChange(text, slot, `#${data.id}`);
+
+        // Keyed on the variable, so reassigning it swings the arrow to the new object
+        renderPassRef.current.connectors.push({
+            key: `frame:${slot}`,
+            source: { x: leftColumnWidth + 25, y: descriptor.y + 45 + index * LAYOUT.frame.lineHeight + 22 },
+            targetId: data.id,
+            isFrame: true
+        });
     };
 
     /**
@@ -936,6 +2348,10 @@ const PythonTutorViz = () => {
         switch (type) {
             case 'list': return '[]';
             case 'dict': return '{}';
+            case 'set': return '{•}';
+            case 'deque': return '⇆';
+            case 'instance': return 'obj';
+            case 'class': return 'cls';
             case 'function': return 'fn';
             default: return '?';
         }
@@ -947,23 +2363,124 @@ const PythonTutorViz = () => {
      * @param {Object} obj - Heap object
      * @param {Object} pos - Position {x, y}
      * @param {Object} heap - Heap object
+     * @param {Set<string>|null} structureIds - Nodes of the linked list or tree the object belongs to
      */
-    const renderHeapObject = (g, obj, pos, heap) => {
+    const renderHeapObject = (g, obj, pos, heap, structureIds = null) => {
+        const { id } = renderPassRef.current.owner;
+        const shape = getObjectShape(obj, id, heap);
+
         switch (obj.type) {
             case 'function':
                 drawFunction(g, obj, pos.x, pos.y);
                 break;
             case 'list':
-                drawList(g, obj.elements, pos.x, pos.y, heap);
+                if (shape.view === 'graph') {
+                    drawGraph(g, shape.graph, pos.x, pos.y, heap, 'adjacency matrix', 'grid');
+                } else if (shape.view === 'grid') {
+                    drawGrid(g, shape.grid, pos.x, pos.y, heap, obj.objectType);
+                } else if (shape.view === 'bars') {
+                    drawBars(g, obj.elements, pos.x, pos.y, obj.objectType);
+                } else {
+                    drawList(g, obj.elements, pos.x, pos.y, heap, obj.objectType);
+                }
                 break;
-            case 'dict':
-                drawDict(g, obj.value, pos.x, pos.y);
+            case 'dict': {
+                if (shape.view === 'graph') {
+                    drawGraph(g, shape.graph, pos.x, pos.y, heap, 'adjacency list', 'table');
+                    break;
+                }
+                const label = getDictLabel(obj);
+                drawDict(g, obj.entries, pos.x, pos.y, heap, null, label);
+                // An adjacency list the user switched to the table can switch back
+                if (detectGraph(heap, id)) {
+                    drawViewToggle(g, pos.x + label.length * 7 + 10, pos.y - 12, 'graph');
+                }
                 break;
-            case 'Counter':
-                drawDict(g, obj.value, pos.x, pos.y, 'Counter');
+            }
+            case 'set':
+                drawSet(g, obj.elements, pos.x, pos.y, heap, obj.objectType);
+                break;
+            case 'deque':
+                drawDeque(g, obj, pos.x, pos.y, heap);
+                break;
+            case 'instance':
+            case 'class':
+                drawInstance(g, obj, pos.x, pos.y, heap, structureIds);
+                break;
+            case 'Counter': {
+                const size = drawDict(g, obj.entries, pos.x, pos.y, heap, 'Counter');
                 // Add Counter-specific elements
-                addCounterHighlighting(g, obj, pos);
+                addCounterHighlighting(g, obj, pos, size);
                 break;
+            }
+        }
+    };
+
+    /**
+     * Measures the box drawn for a heap object, used to lay out the reference graph
+     * @param {Object} obj - Heap object
+     * @param {string} id - Heap id of the object
+     * @param {Object} heap - Heap snapshot the object belongs to
+     * @returns {Object} - Box dimensions {width, height}, and inlineChildren for grids and graphs,
+     * which draw the objects they refer to themselves
+     */
+    const measureHeapObject = (obj, id, heap) => {
+        const cellSize = LAYOUT.object.cell.size;
+        const cellHeight = LAYOUT.object.cell.height;
+        const elementCount = Math.max(1, obj.elements?.length || 0);
+        const shape = getObjectShape(obj, id, heap);
+
+        if (shape.view === 'graph') {
+            const { width, height } = getGraphLayout(id, shape.graph);
+            return { width, height: height + OBJECT_TYPES.graph.legendRow, inlineChildren: true };
+        }
+
+        switch (obj.type) {
+            case 'function':
+                return { width: obj.value.length * 8 + 20, height: 24 };
+            case 'list': {
+                if (shape.view === 'grid') {
+                    const { width, height } = getGridSize(shape.grid, heap);
+                    return { width, height, inlineChildren: true };
+                }
+                if (shape.view === 'bars') {
+                    const { width, gap, maxHeight, labelRow } = OBJECT_TYPES.bars;
+                    return {
+                        width: elementCount * (width + gap) - gap,
+                        height: maxHeight + 2 * labelRow + 2 * OBJECT_TYPES.pointer.row
+                    };
+                }
+                // Heaps have a 'min' marker under the first cell, above the index pointers
+                return {
+                    width: elementCount * cellSize,
+                    height: cellHeight + (obj.objectType === 'heap' ? 20 : 0) + 2 * OBJECT_TYPES.pointer.row
+                };
+            }
+            case 'deque':
+                return { width: elementCount * cellSize + 40, height: cellHeight + OBJECT_TYPES.deque.markerOffset + 6 };
+            case 'set':
+                return getSetSize(obj.elements || []);
+            case 'dict':
+            case 'Counter':
+                return getDictSize(obj.entries || []);
+            case 'instance':
+            case 'class':
+                return getInstanceSize(obj);
+            default:
+                return { width: cellSize, height: cellHeight };
+        }
+    };
+
+    /**
+     * Gets the table label for a dict, naming the dict subclass when there is one
+     * @param {Object} obj - Dict heap object
+     * @returns {string} - Label text
+     */
+    const getDictLabel = (obj) => {
+        switch (obj.objectType) {
+            case 'defaultdict': return `defaultdict(${obj.defaultFactory ?? 'None'})`;
+            case 'OrderedDict': return 'OrderedDict';
+            default: return 'dict';
         }
     };
 
@@ -972,8 +2489,9 @@ const PythonTutorViz = () => {
      * @param {d3.Selection} g - Main group element
      * @param {Object} obj - Counter object
      * @param {Object} pos - Position {x, y}
+     * @param {Object} size - Table dimensions {width, height} returned by drawDict
      */
-    const addCounterHighlighting = (g, obj, pos) => {
+    const addCounterHighlighting = (g, obj, pos, size) => {
         // Add special label for Counter
         if (obj.annotation) {
             createText(g, pos.x, pos.y - 24, obj.annotation, {
@@ -985,10 +2503,8 @@ const PythonTutorViz = () => {
         }
 
         // Add highlighting border around Counter
-        const dictBounds = g.select(`rect[x="${pos.x}"][y="${pos.y}"]`);
-        if (!dictBounds.empty()) {
-            const width = parseFloat(dictBounds.attr('width'));
-            const height = parseFloat(dictBounds.attr('height'));
+        if (size?.width) {
+            const { width, height } = size;
 
             createRect(g, pos.x - 2, pos.y - 2, width + 4, height + 4, {
                 fill: 'none',
@@ -1006,8 +2522,109 @@ const PythonTutorViz = () => {
     useEffect(() => {
         if (!svgRef.current || !executionState) return;
 
+        // Dragged positions and value changes only apply to the run they were made in
+        if (manualPositionsRef.current.steps !== executionSteps) {
+            manualPositionsRef.current = { steps: executionSteps, positions: new Map() };
+            objectViewsRef.current = new Map();
+            graphLayoutsRef.current = new Map();
+            pointerPinsRef.current = new Map();
+            renderedRef.current = { values: new Map(), lengths: new Map() };
+        }
+
+        // ELK runs asynchronously; a newer step supersedes a layout that is still pending
+        let cancelled = false;
+        getHeapLayout(executionState).then(layout => {
+            if (!cancelled) renderExecutionState(executionState, layout);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [executionState]);
+
+    /**
+     * Gets the heap layout of a step, computing it the first time the step is shown
+     * @param {Object} state - Execution state of the step
+     * @returns {Promise<Object>} - {positions} from computeHeapLayout
+     */
+    const getHeapLayout = async (state) => {
+        const heap = state.heap || {};
+        const cached = layoutCacheRef.current.get(heap);
+        if (cached) return cached;
+
+        const frames = state.frames || (state.frame ? [state.frame] : []);
+        try {
+            // The previous step's positions keep unchanged objects where they were
+            const measure = (obj, id) => measureHeapObject(obj, id, heap);
+            const layout = await computeHeapLayout(frames, heap, measure, heapLayoutRef.current.positions);
+            layoutCacheRef.current.set(heap, layout);
+            return layout;
+        } catch (error) {
+            // Without a layout objects fall back to the fixed column positions
+            console.error('Heap layout failed:', error);
+            return { positions: new Map() };
+        }
+    };
+
+    /**
+     * Gets the persistent layers the drawing is joined into, creating them on the first render
+     * @param {d3.Selection} svg - SVG element
+     * @returns {Object} - {decorations, frames, objects, connectors} layer selections
+     */
+    const getCanvasLayers = (svg) => {
+        let content = svg.select(`#${CONTENT_ID}`);
+
+        if (content.empty()) {
+            // Clears whatever else was shown, e.g. the import error message
+            svg.selectAll('*').remove();
+
+            // Pan/zoom layer keeps the current transform across redraws
+            const zoomLayer = svg.append('g')
+                .attr('class', 'zoom-layer')
+                .attr('transform', zoomTransformRef.current);
+
+            // Create main group with margins
+            content = zoomLayer.append('g')
+                .attr('id', CONTENT_ID)
+                .attr('transform', `translate(${LAYOUT.margin.left},${LAYOUT.margin.top})`);
+
+            // Set up arrow marker
+            createArrow(content);
+
+            // Only show Objects header, remove Frames header to avoid redundancy
+            createText(content, LAYOUT.object.startX, 30, 'Objects', {
+                family: 'sans',
+                size: 'base',
+                weight: 'bold',
+                color: '#333333'
+            });
+
+            // Arrows sit on top of the objects but never take their pointer events
+            ['decorations', 'frames', 'objects', 'connectors'].forEach(name => {
+                content.append('g').attr('class', `${name}-layer`);
+            });
+            content.select('.connectors-layer').style('pointer-events', 'none');
+        }
+
+        return {
+            decorations: content.select('.decorations-layer'),
+            frames: content.select('.frames-layer'),
+            objects: content.select('.objects-layer'),
+            connectors: content.select('.connectors-layer')
+        };
+    };
+
+    /**
+     * Draws an execution state, updating what the previous render left on the canvas
+     * @param {Object} state - Execution state of the step
+     * @param {Object} layout - Heap layout for the step ({positions})
+     * @param {Object} options - {animate}: whether changes are animated (off while dragging)
+     */
+    const renderExecutionState = (state, layout, { animate = true } = {}) => {
+        shownStateRef.current = state;
+        heapLayoutRef.current = layout;
+
         // Check for import errors
-        const hasImportError = detectImportError(executionState);
+        const hasImportError = detectImportError(state);
 
         // Update the Python store with error information if needed
         if (hasImportError) {
@@ -1017,53 +2634,218 @@ const PythonTutorViz = () => {
             setExecutionSteps([]);
         }
 
-        // Clear previous visualization
         const svg = d3.select(svgRef.current);
-        svg.selectAll('*').remove();
 
         // If there's an import error, show only an error message and don't render visualization
         if (hasImportError) {
+            svg.selectAll('*').remove();
             renderImportErrorMessage(svg);
+            updateMinimap();
             return; // Exit early - don't render any frames or objects
         }
 
-        // Store previous state for transitions
-        const prevState = prevExecutionStateRef.current;
-        prevExecutionStateRef.current = executionState;
+        const layers = getCanvasLayers(svg);
+        const heap = state.heap || {};
+        const duration = animate ? DEFAULTS.transition.duration : 0;
+        // The store's diff belongs to the step being drawn: a newer step cancels a pending render
+        const diff = usePythonStore.getState().stepDiff;
+
+        // Legacy states carry a single frame
+        const frames = state.frames || (state.frame ? [{
+            name: state.frame.name || 'Global frame',
+            variables: state.frame.variables,
+            returnValue: state.frame.returnValue,
+            raised: state.frame.raised,
+            is_highlighted: true
+        }] : []);
+
+        // List cells the current line reads: heap id -> indexes
+        const reads = new Map();
+        (state.reads || []).forEach(({ id, index }) => {
+            reads.set(id, (reads.get(id) || new Set()).add(index));
+        });
+        // Cells read by the line that led here, i.e. the inputs of the values it wrote
+        const { executionSteps: steps, currentStepIndex } = usePythonStore.getState();
+        const previousReads = new Map();
+        (steps[currentStepIndex - 1]?.reads || []).forEach(({ id, index }) => {
+            previousReads.set(id, (previousReads.get(id) || new Set()).add(index));
+        });
+        renderPassRef.current = {
+            duration,
+            diff,
+            reads,
+            previousReads,
+            frames,
+            values: new Map(),
+            connectors: [],
+            owner: null
+        };
+
+        // Positions are settled before drawing so every arrow knows where its target ends up
+        const descriptors = prepareCallStack(layers.decorations, frames, heap, state.exception);
+        const scene = buildHeapScene(descriptors, heap);
+
+        drawCallStack(layers.frames, descriptors, heap);
+        drawHeapObjects(layers.objects, scene, heap);
+        drawConnectors(layers.connectors, [...renderPassRef.current.connectors, ...scene.edges], scene.objects);
+
+        // The next step animates against what is on screen now
+        renderedRef.current = {
+            values: renderPassRef.current.values,
+            lengths: new Map(Array.from(scene.objects.values())
+                .filter(entry => entry.obj.elements)
+                .map(entry => [entry.id, entry.obj.elements.length]))
+        };
+
+        updateMinimap();
+        if (duration > 0) {
+            d3.timeout(updateMinimap, duration);
+        }
+    };
+
+    // =====================================================
+    // Pan, Zoom and Minimap
+    // =====================================================
+
+    useEffect(() => {
+        const svg = d3.select(svgRef.current);
 
-        // Create main group with margins
-        const g = svg.append('g')
-            .attr('transform', `translate(${LAYOUT.margin.left},${LAYOUT.margin.top})`);
+        zoomRef.current = d3.zoom()
+            .scaleExtent([DEFAULTS.zoom.minScale, DEFAULTS.zoom.maxScale])
+            .on('zoom', (event) => {
+                zoomTransformRef.current = event.transform;
+                svg.select('.zoom-layer').attr('transform', event.transform);
+                updateMinimap();
+            });
 
-        // Set up arrow marker
-        createArrow(g);
+        // Double-click is left to the page (e.g. selecting text) rather than zooming
+        svg.call(zoomRef.current).on('dblclick.zoom', null);
 
-        // Only show Objects header, remove Frames header to avoid redundancy
-        createText(g, LAYOUT.object.startX, 30, 'Objects', {
-            family: 'sans',
-            size: 'base',
-            weight: 'bold',
-            color: '#333333'
-        });
+        return () => {
+            svg.on('.zoom', null);
+        };
+    }, []);
 
-        // Draw frames based on execution state structure
-        if (executionState.frames) {
-            // New frame structure
-            drawCallStack(g, executionState.frames, executionState.heap);
-        } else if (executionState.frame) {
-            // Legacy frame structure
-            drawCallStack(g, [{
-                name: executionState.frame.name || 'Global frame',
-                variables: executionState.frame.variables,
-                is_highlighted: true
-            }], executionState.heap);
-        }
+    /**
+     * Animates the canvas to a zoom transform
+     * @param {d3.ZoomTransform} transform - Target transform
+     */
+    const applyZoom = (transform) => {
+        d3.select(svgRef.current)
+            .transition()
+            .duration(400)
+            .call(zoomRef.current.transform, transform);
+    };
+
+    /**
+     * Zooms in or out around the centre of the canvas
+     * @param {number} factor - Scale multiplier
+     */
+    const zoomBy = (factor) => {
+        d3.select(svgRef.current)
+            .transition()
+            .duration(200)
+            .call(zoomRef.current.scaleBy, factor);
+    };
+
+    /**
+     * Scales and centres the canvas so the whole drawing is visible
+     */
+    const fitToScreen = () => {
+        const zoomLayer = d3.select(svgRef.current).select('.zoom-layer');
+        if (zoomLayer.empty()) return;
+
+        const bbox = zoomLayer.node().getBBox();
+        const { width, height } = svgRef.current.getBoundingClientRect();
+        if (!bbox.width || !bbox.height) return;
+
+        const padding = DEFAULTS.zoom.fitPadding;
+        const scale = Math.min(
+            DEFAULTS.zoom.maxScale,
+            (width - 2 * padding) / bbox.width,
+            (height - 2 * padding) / bbox.height
+        );
+
+        applyZoom(d3.zoomIdentity
+            .translate(width / 2, height / 2)
+            .scale(scale)
+            .translate(-(bbox.x + bbox.width / 2), -(bbox.y + bbox.height / 2)));
+    };
+
+    /**
+     * Syncs the minimap with the drawing and the visible part of the canvas
+     */
+    const updateMinimap = () => {
+        if (!minimapRef.current || !svgRef.current) return;
 
-        // Add animations if transitioning between states
-        if (prevState) {
-            animateStateTransition(g);
+        const minimap = d3.select(minimapRef.current);
+        const zoomLayer = d3.select(svgRef.current).select('.zoom-layer');
+        const bbox = zoomLayer.empty() ? null : zoomLayer.node().getBBox();
+
+        if (!bbox?.width || !bbox?.height) {
+            minimap.style('display', 'none');
+            return;
         }
-    }, [executionState]);
+
+        // The minimap shows the whole drawing in zoom-layer coordinates
+        const padding = DEFAULTS.minimap.padding;
+        minimap
+            .style('display', null)
+            .attr('viewBox', [bbox.x - padding, bbox.y - padding, bbox.width + 2 * padding, bbox.height + 2 * padding]);
+
+        // Visible area of the canvas, mapped back through the zoom transform
+        const { width, height } = svgRef.current.getBoundingClientRect();
+        const { x, y, k } = zoomTransformRef.current;
+        minimap.select('.minimap-viewport')
+            .attr('x', -x / k)
+            .attr('y', -y / k)
+            .attr('width', width / k)
+            .attr('height', height / k);
+    };
+
+    /**
+     * Centres the canvas on the point clicked in the minimap
+     * @param {MouseEvent} event - Click event
+     */
+    const handleMinimapClick = (event) => {
+        const [x, y] = d3.pointer(event.nativeEvent, minimapRef.current);
+        d3.select(svgRef.current)
+            .transition()
+            .duration(300)
+            .call(zoomRef.current.translateTo, x, y);
+    };
+
+    /**
+     * Gets where a heap object should be drawn: where the user dropped it, otherwise its layout position
+     * @param {string} id - Heap id
+     * @returns {Object|undefined} - Position {x, y}
+     */
+    const getObjectPosition = (id) => {
+        return manualPositionsRef.current.positions.get(id) || heapLayoutRef.current.positions.get(id);
+    };
+
+    /**
+     * Lets the user drag heap objects; a dragged object stays where it is dropped for the rest of the run
+     * @param {d3.Selection} groups - Heap object groups, bound to their scene entries
+     */
+    const makeDraggable = (groups) => {
+        // Pointer coordinates come from the svg, which isn't affected by the redraws done while dragging
+        let start = null;
+        groups.call(d3.drag()
+            .container(() => svgRef.current)
+            .on('start', (event, d) => {
+                start = { x: event.x, y: event.y, pos: d.pos };
+            })
+            .on('drag', (event, d) => {
+                const { k } = zoomTransformRef.current;
+                manualPositionsRef.current.positions.set(d.id, {
+                    x: start.pos.x + (event.x - start.x) / k,
+                    y: start.pos.y + (event.y - start.y) / k
+                });
+                // Redraw so connectors follow the object
+                renderExecutionState(shownStateRef.current, heapLayoutRef.current, { animate: false });
+            }));
+    };
 
     /**
      * Detects if the execution state contains an import error
@@ -1154,52 +2936,58 @@ const PythonTutorViz = () => {
         svg.attr('height', height + 100);
     };
 
-    /**
-     * Animates state transitions
-     * @param {d3.Selection} g - Main group element
-     */
-    const animateStateTransition = (g) => {
-        // Fade in frames
-        g.selectAll('.frame')
-            .style('opacity', 0)
-            .transition()
-            .duration(300)
-            .style('opacity', 1);
-
-        // Animate connections
-        g.selectAll('path[marker-end]')
-            .style('stroke-dasharray', function () {
-                const length = this.getTotalLength();
-                return `${length} ${length}`;
-            })
-            .style('stroke-dashoffset', function () {
-                return this.getTotalLength();
-            })
-            .transition()
-            .duration(500)
-            .ease(d3.easeLinear)
-            .style('stroke-dashoffset', 0);
-    };
+    const canvasButtonClass = "p-1.5 text-gray-500 hover:text-gray-700 rounded hover:bg-gray-100 transition-colors";
 
     return (
         <div className="w-full h-full">
             <div
                 ref={containerRef}
-                className="h-full"
-                style={{
-                    overflow: 'auto',
-                    maxWidth: '100%',
-                    scrollbarWidth: 'thin',
-                    scrollbarColor: `${COLORS.gray[400]} transparent`,
-                }}>
+                className="relative h-full overflow-hidden"
+                style={{ minHeight: DEFAULTS.svgSize.height }}
+            >
                 <svg
                     ref={svgRef}
-                    width="3000px"
-                    height={DEFAULTS.svgSize.height}
-                    preserveAspectRatio="xMinYMin meet"
+                    width="100%"
+                    height="100%"
+                    className="cursor-grab active:cursor-grabbing"
                 >
                     {/* Visualization will be rendered here */}
                 </svg>
+
+                {/* Canvas controls */}
+                <div className="absolute top-3 right-3 flex items-center space-x-1 bg-white/90 border border-gray-200 rounded-md shadow-sm p-1">
+                    <button onClick={() => zoomBy(1.25)} className={canvasButtonClass} title="Zoom in">
+                        <ZoomIn className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => zoomBy(0.8)} className={canvasButtonClass} title="Zoom out">
+                        <ZoomOut className="w-4 h-4" />
+                    </button>
+                    <button onClick={fitToScreen} className={canvasButtonClass} title="Fit to screen">
+                        <Scan className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => applyZoom(d3.zoomIdentity)} className={canvasButtonClass} title="Reset view">
+                        <RotateCcw className="w-4 h-4" />
+                    </button>
+                </div>
+
+                {/* Minimap: the drawing again at overview scale, with the visible area outlined */}
+                <svg
+                    ref={minimapRef}
+                    width={DEFAULTS.minimap.width}
+                    height={DEFAULTS.minimap.height}
+                    onClick={handleMinimapClick}
+                    className="absolute bottom-3 right-3 bg-white/90 border border-gray-200 rounded-md shadow-sm cursor-pointer"
+                    style={{ display: 'none' }}
+                >
+                    <use href={`#${CONTENT_ID}`} pointerEvents="none" />
+                    <rect
+                        className="minimap-viewport"
+                        fill={withOpacity(COLORS.primary[500], 0.1)}
+                        stroke={COLORS.primary[500]}
+                        strokeWidth={1.5}
+                        vectorEffect="non-scaling-stroke"
+                    />
+                </svg>
             </div>
 
             {/* Global styles for scrollbars */}
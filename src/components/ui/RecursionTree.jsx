@@ -0,0 +1,190 @@
+import { useMemo, useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+import { usePythonStore } from '../../services/PythonService';
+import { COLORS } from '../../visualization/colors';
+import { buildCallTree, hasRecursion, getActivePath } from '../../visualization/callTree';
+
+// Node box size and the gaps between sibling nodes and between levels
+const NODE = { width: 104, height: 38, gap: 12, levelGap: 28, padding: 12 };
+
+// Longest call label drawn inside a node; the full call is in its tooltip
+const MAX_LABEL_LENGTH = 14;
+
+/**
+ * Cuts a label down to the width of a node
+ * @param {string} text - Label text
+ * @returns {string} - Label that fits a node
+ */
+const fitLabel = (text) => {
+    return text.length > MAX_LABEL_LENGTH ? `${text.slice(0, MAX_LABEL_LENGTH - 1)}…` : text;
+};
+
+/**
+ * Gets the fill, border and dash of a node at the current step
+ * @param {Object} node - Call node
+ * @param {boolean} isActive - Node is on the active path
+ * @param {boolean} isCurrent - Node is the innermost running call
+ * @returns {Object} - {fill, stroke, dash}
+ */
+const getNodeStyle = (node, isActive, isCurrent) => {
+    if (isCurrent) return { fill: COLORS.primary[100], stroke: COLORS.primary[600], dash: null };
+    if (isActive) return { fill: COLORS.primary[50], stroke: COLORS.primary[500], dash: null };
+    if (node.memoized) return { fill: COLORS.state.warning[50], stroke: COLORS.state.warning[500], dash: '4,3' };
+    return { fill: 'white', stroke: COLORS.gray[300], dash: null };
+};
+
+/**
+ * RecursionTree draws the call tree of a recursive run next to the canvas. The path of calls
+ * running at the current step is highlighted, a call's return value appears once it has
+ * returned, and calls answered from a cache are dashed and badged "memo". Clicking a call
+ * jumps to its entry, clicking its return value jumps to its exit.
+ */
+const RecursionTree = () => {
+    const { executionSteps, currentStepIndex, setCurrentStepIndex } = usePythonStore();
+    const currentNodeRef = useRef(null);
+
+    const tree = useMemo(() => buildCallTree(executionSteps), [executionSteps]);
+    const isRecursive = useMemo(() => hasRecursion(tree), [tree]);
+
+    // The tree only grows with the run, so it is laid out once for all steps
+    const layout = useMemo(() => {
+        if (!isRecursive) return null;
+
+        const root = d3.hierarchy({ children: tree.roots });
+        d3.tree().nodeSize([NODE.width + NODE.gap, NODE.height + NODE.levelGap])(root);
+
+        // The synthetic root holding the top-level calls isn't drawn
+        const nodes = root.descendants().filter(node => node.depth > 0);
+        const links = root.links().filter(link => link.source.depth > 0);
+        const minX = d3.min(nodes, node => node.x) - NODE.width / 2 - NODE.padding;
+        const maxX = d3.max(nodes, node => node.x) + NODE.width / 2 + NODE.padding;
+        const minY = d3.min(nodes, node => node.y) - NODE.padding;
+        const maxY = d3.max(nodes, node => node.y) + NODE.height + NODE.padding;
+
+        return { nodes, links, offsetX: -minX, offsetY: -minY, width: maxX - minX, height: maxY - minY };
+    }, [tree, isRecursive]);
+
+    const activePath = useMemo(() => getActivePath(tree, currentStepIndex), [tree, currentStepIndex]);
+    const currentNode = activePath[activePath.length - 1];
+
+    // Keep the running call in view as the recursion goes deeper
+    useEffect(() => {
+        currentNodeRef.current?.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
+    }, [currentNode]);
+
+    if (!layout) return null;
+
+    const activeKeys = new Set(activePath.map(node => node.key));
+
+    return (
+        <div className="w-80 shrink-0 flex flex-col border-l border-gray-200 bg-white">
+            <div className="px-3 py-2 border-b border-gray-200 flex items-center justify-between">
+                <span className="text-xs font-medium text-gray-500">Recursion tree</span>
+                <span className="flex items-center gap-1 text-xs text-gray-400">
+                    <span
+                        className="inline-block w-3 h-3 rounded-sm border border-dashed"
+                        style={{ backgroundColor: COLORS.state.warning[50], borderColor: COLORS.state.warning[500] }}
+                    />
+                    memoized
+                </span>
+            </div>
+
+            <div className="flex-1 min-h-0 overflow-auto">
+                <svg width={layout.width} height={layout.height}>
+                    <g transform={`translate(${layout.offsetX},${layout.offsetY})`}>
+                        {layout.links.map(link => (
+                            <line
+                                key={`${link.source.data.key}-${link.target.data.key}`}
+                                x1={link.source.x}
+                                y1={link.source.y + NODE.height}
+                                x2={link.target.x}
+                                y2={link.target.y}
+                                stroke={activeKeys.has(link.target.data.key) ? COLORS.primary[500] : COLORS.gray[300]}
+                                strokeWidth={activeKeys.has(link.target.data.key) ? 2 : 1}
+                            />
+                        ))}
+
+                        {layout.nodes.map(({ data: node, x, y }) => {
+                            const isActive = activeKeys.has(node.key);
+                            const isCurrent = node === currentNode;
+                            const hasEntered = node.entryStep <= currentStepIndex;
+                            const hasReturned = node.exitStep !== null && node.exitStep <= currentStepIndex;
+                            const style = getNodeStyle(node, isActive, isCurrent);
+                            const call = `${node.name}(${node.args})`;
+                            const outcome = node.raised ? `raised ${node.raised}` : `→ ${node.returnValue}`;
+
+                            return (
+                                <g
+                                    key={node.key}
+                                    ref={isCurrent ? currentNodeRef : null}
+                                    transform={`translate(${x - NODE.width / 2},${y})`}
+                                    opacity={hasEntered ? 1 : 0.35}
+                                    className="cursor-pointer"
+                                    onClick={() => setCurrentStepIndex(node.entryStep)}
+                                >
+                                    <title>
+                                        {`${call}${hasReturned ? ` ${outcome}` : ''}` +
+                                            `${node.cacheHit ? ' (cache hit)' : node.memoized ? ' (memoized)' : ''}` +
+                                            `\nClick to jump to step ${node.entryStep}`}
+                                    </title>
+                                    <rect
+                                        width={NODE.width}
+                                        height={NODE.height}
+                                        rx={4}
+                                        fill={style.fill}
+                                        stroke={style.stroke}
+                                        strokeDasharray={style.dash}
+                                        strokeWidth={isCurrent ? 2 : 1}
+                                    />
+                                    <text
+                                        x={NODE.width / 2}
+                                        y={15}
+                                        textAnchor="middle"
+                                        className="font-mono"
+                                        fontSize={11}
+                                        fill={COLORS.gray[800]}
+                                    >
+                                        {fitLabel(call)}
+                                    </text>
+
+                                    {hasReturned && (
+                                        <text
+                                            x={NODE.width / 2}
+                                            y={30}
+                                            textAnchor="middle"
+                                            className="font-mono hover:underline"
+                                            fontSize={11}
+                                            fill={node.raised ? COLORS.state.error[600] : COLORS.state.success[600]}
+                                            onClick={(e) => {
+                                                e.stopPropagation();
+                                                setCurrentStepIndex(node.exitStep);
+                                            }}
+                                        >
+                                            <title>{`${node.raised ? `Raised ${node.raised}` : `Returned ${node.returnValue}`}\nClick to jump to step ${node.exitStep}`}</title>
+                                            {fitLabel(outcome)}
+                                        </text>
+                                    )}
+
+                                    {node.memoized && (
+                                        <text
+                                            x={NODE.width - 3}
+                                            y={-3}
+                                            textAnchor="end"
+                                            fontSize={9}
+                                            fontWeight="600"
+                                            fill={COLORS.state.warning[600]}
+                                        >
+                                            memo
+                                        </text>
+                                    )}
+                                </g>
+                            );
+                        })}
+                    </g>
+                </svg>
+            </div>
+        </div>
+    );
+};
+
+export default RecursionTree;
@@ -0,0 +1,127 @@
+import { useEffect, useState } from 'react';
+import { X } from 'lucide-react';
+import { usePythonStore } from '../../services/PythonService';
+import {
+    formatBinding,
+    getEventBinding,
+    getShortcuts,
+    rebindShortcut,
+    useKeyboardShortcuts
+} from '../../utils/keyboardShortcuts';
+
+/**
+ * ShortcutHelp is the overlay listing the keyboard shortcuts, opened and closed with "?" by default.
+ * Clicking an action's key records the next key pressed as its new binding
+ */
+const ShortcutHelp = () => {
+    const [isOpen, setIsOpen] = useState(false);
+    // Action waiting for its new key, if any
+    const [recording, setRecording] = useState(null);
+    const { shortcutBindings, setShortcutBindings } = usePythonStore();
+
+    useKeyboardShortcuts({ help: () => setIsOpen(open => !open) });
+
+    // Caught before any other shortcut handler, so the key being recorded doesn't also run its action
+    useEffect(() => {
+        if (!recording) return;
+
+        const handleKeyDown = (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+
+            if (event.key === 'Escape') {
+                setRecording(null);
+                return;
+            }
+            const binding = getEventBinding(event);
+            if (!binding) return;
+
+            setShortcutBindings(rebindShortcut(usePythonStore.getState().shortcutBindings, recording, binding));
+            setRecording(null);
+        };
+
+        window.addEventListener('keydown', handleKeyDown, true);
+        return () => window.removeEventListener('keydown', handleKeyDown, true);
+    }, [recording, setShortcutBindings]);
+
+    if (!isOpen) return null;
+
+    const shortcuts = getShortcuts(shortcutBindings);
+    const groups = [...new Set(shortcuts.map(shortcut => shortcut.group))];
+    const runKeys = shortcuts.find(shortcut => shortcut.action === 'run').keys.map(formatBinding).join(' or ');
+
+    const close = () => {
+        setRecording(null);
+        setIsOpen(false);
+    };
+
+    return (
+        <div
+            className="fixed inset-0 z-[60] flex items-center justify-center bg-black/30"
+            onClick={close}
+            onKeyDown={(e) => e.key === 'Escape' && close()}
+        >
+            <div
+                className="w-96 max-h-[80vh] overflow-y-auto bg-white rounded-lg shadow-xl p-5"
+                onClick={(e) => e.stopPropagation()}
+                role="dialog"
+                aria-label="Keyboard shortcuts"
+            >
+                <div className="flex items-center justify-between mb-3">
+                    <h3 className="text-base font-semibold text-gray-800">Keyboard shortcuts</h3>
+                    <button
+                        onClick={close}
+                        className="p-1 text-gray-500 hover:text-gray-700 rounded-full hover:bg-gray-100 transition-colors"
+                        title="Close"
+                        autoFocus
+                    >
+                        <X className="w-4 h-4" />
+                    </button>
+                </div>
+
+                {groups.map(group => (
+                    <div key={group} className="mb-3">
+                        <div className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">{group}</div>
+                        {shortcuts.filter(shortcut => shortcut.group === group).map(shortcut => (
+                            <div key={shortcut.action} className="flex items-center justify-between py-1 text-sm">
+                                <span className="text-gray-700">{shortcut.description}</span>
+                                <button
+                                    onClick={() => setRecording(shortcut.action)}
+                                    className="flex gap-1 rounded focus:outline-none focus:ring-1 focus:ring-blue-500"
+                                    title="Click, then press the new key (Esc to cancel)"
+                                >
+                                    {recording === shortcut.action ? (
+                                        <kbd className="px-1.5 py-0.5 text-xs text-blue-700 bg-blue-50 border border-blue-300 rounded">
+                                            Press a key…
+                                        </kbd>
+                                    ) : shortcut.keys.map(key => (
+                                        <kbd
+                                            key={key}
+                                            className="px-1.5 py-0.5 text-xs font-mono text-gray-700 bg-gray-100 border border-gray-300 rounded hover:border-gray-400"
+                                        >
+                                            {formatBinding(key)}
+                                        </kbd>
+                                    ))}
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                ))}
+
+                <p className="text-xs text-gray-400">
+                    Click a key to change it. Apart from {runKeys}, shortcuts are off while typing in the editor or a field.
+                </p>
+                {Object.keys(shortcutBindings).length > 0 && (
+                    <button
+                        onClick={() => setShortcutBindings({})}
+                        className="mt-2 text-xs text-blue-600 hover:text-blue-800"
+                    >
+                        Reset to defaults
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ShortcutHelp;
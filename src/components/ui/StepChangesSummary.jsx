@@ -0,0 +1,71 @@
+import { useState } from 'react';
+import { usePythonStore } from '../../services/PythonService';
+import { getChangeColor } from '../../visualization/colors';
+
+// Changes listed before the rest are folded behind a "more" toggle
+const MAX_VISIBLE_CHANGES = 8;
+
+// Marker shown in front of each change, next to its color
+const CHANGE_SYMBOLS = {
+    added: '+',
+    modified: '~',
+    removed: '−'
+};
+
+/**
+ * StepChangesSummary lists what the current step changed: variables and cells that were
+ * added, modified or removed, colored the same way as the highlights on the canvas
+ */
+const StepChangesSummary = () => {
+    const { stepDiff, currentStepIndex } = usePythonStore();
+    const [isExpanded, setIsExpanded] = useState(false);
+
+    const changes = stepDiff?.summary || [];
+    const visibleChanges = isExpanded ? changes : changes.slice(0, MAX_VISIBLE_CHANGES);
+    const hiddenCount = changes.length - visibleChanges.length;
+
+    return (
+        <div className="px-4 py-2 border-b border-gray-200 bg-white">
+            <div className="flex flex-wrap items-center gap-1.5">
+                <span className="text-xs font-medium text-gray-500 mr-1">Changes in this step:</span>
+
+                {currentStepIndex === 0 && (
+                    <span className="text-xs text-gray-400">first step</span>
+                )}
+                {currentStepIndex > 0 && changes.length === 0 && (
+                    <span className="text-xs text-gray-400">none</span>
+                )}
+
+                {visibleChanges.map((item, i) => {
+                    const colors = getChangeColor(item.change);
+                    return (
+                        <span
+                            key={`${item.change}-${item.text}-${i}`}
+                            className="inline-flex items-center px-2 py-0.5 rounded border font-mono text-xs"
+                            style={{
+                                backgroundColor: colors.bg,
+                                borderColor: colors.text,
+                                color: colors.hover
+                            }}
+                            title={item.change}
+                        >
+                            <span className="mr-1 font-semibold">{CHANGE_SYMBOLS[item.change]}</span>
+                            {item.text}
+                        </span>
+                    );
+                })}
+
+                {changes.length > MAX_VISIBLE_CHANGES && (
+                    <button
+                        onClick={() => setIsExpanded(!isExpanded)}
+                        className="text-xs text-blue-600 hover:text-blue-800 px-1"
+                    >
+                        {isExpanded ? 'show less' : `+${hiddenCount} more`}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default StepChangesSummary;
@@ -0,0 +1,195 @@
+import { useState, useMemo, useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+import { usePythonStore } from '../../services/PythonService';
+import { COLORS, withOpacity } from '../../visualization/colors';
+import { listTimelineSeries, getTimelineValues } from '../../visualization/variableTimeline';
+
+// Chart height and the room kept around the plot for the axes
+const CHART = { height: 120, top: 10, right: 12, bottom: 20, left: 40, pointRadius: 2.5, currentRadius: 4 };
+
+// Runs longer than this get no dot per step, only the line
+const MAX_DOTTED_STEPS = 150;
+
+// One color per series, in the order the variables first appear
+const SERIES_COLORS = d3.schemeTableau10;
+
+/**
+ * VariableTimeline plots chosen variables against the step index: numbers by their value and
+ * containers by their length. The current step is marked on every line, and clicking the
+ * chart jumps to the step under the pointer.
+ */
+const VariableTimeline = () => {
+    const { executionSteps, currentStepIndex, setCurrentStepIndex } = usePythonStore();
+    const [selectedKeys, setSelectedKeys] = useState([]);
+    const [hoveredStep, setHoveredStep] = useState(null);
+    const [width, setWidth] = useState(0);
+    const containerRef = useRef(null);
+
+    const series = useMemo(() => listTimelineSeries(executionSteps), [executionSteps]);
+    const hasSeries = series.length > 0;
+
+    // Selections survive a re-run as long as the variable still exists
+    const plotted = useMemo(() => series
+        .map((item, i) => ({ ...item, color: SERIES_COLORS[i % SERIES_COLORS.length] }))
+        .filter(item => selectedKeys.includes(item.key))
+        .map(item => ({ ...item, values: getTimelineValues(executionSteps, item) })),
+    [series, selectedKeys, executionSteps]);
+
+    // The chart fills the panel, so it is redrawn whenever the panel is resized
+    useEffect(() => {
+        if (!containerRef.current) return;
+
+        const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+        observer.observe(containerRef.current);
+        return () => observer.disconnect();
+    }, [hasSeries]);
+
+    if (!hasSeries) return null;
+
+    const toggleSeries = (key) => {
+        setSelectedKeys(keys => keys.includes(key) ? keys.filter(k => k !== key) : [...keys, key]);
+    };
+
+    const stepCount = executionSteps.length;
+    const x = d3.scaleLinear()
+        .domain([0, Math.max(1, stepCount - 1)])
+        .range([CHART.left, Math.max(CHART.left + 1, width - CHART.right)]);
+
+    const allValues = plotted.flatMap(item => item.values).filter(value => value !== null);
+    const y = d3.scaleLinear()
+        .domain([Math.min(0, d3.min(allValues) ?? 0), Math.max(1, d3.max(allValues) ?? 1)])
+        .nice()
+        .range([CHART.height - CHART.bottom, CHART.top]);
+
+    // A variable keeps its value until the next step, hence the step curve
+    const line = d3.line()
+        .defined(value => value !== null)
+        .x((value, i) => x(i))
+        .y(value => y(value))
+        .curve(d3.curveStepAfter);
+
+    /**
+     * Finds the step under the pointer
+     * @param {MouseEvent} event - Mouse event on the chart
+     * @returns {number} - Step index
+     */
+    const getStepAt = (event) => {
+        const [pointerX] = d3.pointer(event.nativeEvent, event.currentTarget);
+        return Math.max(0, Math.min(stepCount - 1, Math.round(x.invert(pointerX))));
+    };
+
+    // Chips show the values at the step under the pointer, or else at the current step
+    const markedStep = hoveredStep ?? currentStepIndex;
+
+    return (
+        <div className="px-4 py-2 border-t border-gray-200 bg-white">
+            <div className="flex flex-wrap items-center gap-1.5 max-h-16 overflow-y-auto">
+                <span className="text-xs font-medium text-gray-500 mr-1">Plot over time:</span>
+
+                {series.map((item, i) => {
+                    const isSelected = selectedKeys.includes(item.key);
+                    const color = SERIES_COLORS[i % SERIES_COLORS.length];
+                    const current = isSelected
+                        ? plotted.find(p => p.key === item.key)?.values[markedStep]
+                        : null;
+
+                    return (
+                        <button
+                            key={item.key}
+                            onClick={() => toggleSeries(item.key)}
+                            className="inline-flex items-center px-2 py-0.5 rounded border font-mono text-xs transition-colors"
+                            style={isSelected
+                                ? { borderColor: color, color: COLORS.gray[800], backgroundColor: withOpacity(color, 0.1) }
+                                : { borderColor: COLORS.gray[200], color: COLORS.gray[500] }}
+                            title={isSelected ? `Stop plotting ${item.label}` : `Plot ${item.label}`}
+                        >
+                            <span className="inline-block w-2 h-2 rounded-full mr-1.5" style={{ backgroundColor: isSelected ? color : COLORS.gray[300] }} />
+                            {item.label}
+                            {isSelected && current !== null && current !== undefined && (
+                                <span className="ml-1 font-semibold">= {current}</span>
+                            )}
+                        </button>
+                    );
+                })}
+            </div>
+
+            <div ref={containerRef} className="w-full">
+                {plotted.length > 0 && width > 0 && (
+                    <svg width={width} height={CHART.height} className="mt-1 select-none">
+                        {y.ticks(4).map(tick => (
+                            <g key={`y${tick}`}>
+                                <line x1={CHART.left} x2={width - CHART.right} y1={y(tick)} y2={y(tick)} stroke={COLORS.gray[100]} />
+                                <text x={CHART.left - 6} y={y(tick)} dy="0.32em" textAnchor="end" fontSize={10} fill={COLORS.gray[400]}>
+                                    {tick}
+                                </text>
+                            </g>
+                        ))}
+                        {x.ticks(Math.min(8, stepCount - 1)).filter(Number.isInteger).map(tick => (
+                            <text key={`x${tick}`} x={x(tick)} y={CHART.height - 6} textAnchor="middle" fontSize={10} fill={COLORS.gray[400]}>
+                                {tick}
+                            </text>
+                        ))}
+
+                        {/* Current step, and the step under the pointer */}
+                        <line
+                            x1={x(currentStepIndex)}
+                            x2={x(currentStepIndex)}
+                            y1={CHART.top}
+                            y2={CHART.height - CHART.bottom}
+                            stroke={COLORS.primary[500]}
+                            strokeWidth={1.5}
+                        />
+                        {hoveredStep !== null && hoveredStep !== currentStepIndex && (
+                            <line
+                                x1={x(hoveredStep)}
+                                x2={x(hoveredStep)}
+                                y1={CHART.top}
+                                y2={CHART.height - CHART.bottom}
+                                stroke={COLORS.gray[300]}
+                                strokeDasharray="3,3"
+                            />
+                        )}
+
+                        {plotted.map(item => (
+                            <g key={item.key}>
+                                <path d={line(item.values)} fill="none" stroke={item.color} strokeWidth={1.5} />
+
+                                {stepCount <= MAX_DOTTED_STEPS && item.values.map((value, i) => value !== null && (
+                                    <circle key={i} cx={x(i)} cy={y(value)} r={CHART.pointRadius} fill={item.color} />
+                                ))}
+
+                                {item.values[currentStepIndex] !== null && (
+                                    <circle
+                                        cx={x(currentStepIndex)}
+                                        cy={y(item.values[currentStepIndex])}
+                                        r={CHART.currentRadius}
+                                        fill="white"
+                                        stroke={item.color}
+                                        strokeWidth={2}
+                                    />
+                                )}
+                            </g>
+                        ))}
+
+                        {/* Pointer target over the whole plot: a click jumps to the nearest step */}
+                        <rect
+                            x={CHART.left}
+                            y={CHART.top}
+                            width={Math.max(0, width - CHART.left - CHART.right)}
+                            height={CHART.height - CHART.top - CHART.bottom}
+                            fill="transparent"
+                            className="cursor-pointer"
+                            onMouseMove={(e) => setHoveredStep(getStepAt(e))}
+                            onMouseLeave={() => setHoveredStep(null)}
+                            onClick={(e) => setCurrentStepIndex(getStepAt(e))}
+                        >
+                            <title>{hoveredStep !== null ? `Jump to step ${hoveredStep}` : 'Click to jump to a step'}</title>
+                        </rect>
+                    </svg>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default VariableTimeline;
@@ -0,0 +1,105 @@
+import { useState } from 'react';
+import { X, RotateCw } from 'lucide-react';
+import { pythonService, usePythonStore, getTraceExpressions } from '../../services/PythonService';
+import { COLORS } from '../../visualization/colors';
+
+/**
+ * WatchPanel lists watch expressions with their value at the current step. Expressions are
+ * evaluated by the tracer in the frame that is running, on copies of the variables they name so they
+ * can't change the program. Adding or changing a watch (or a breakpoint condition) takes a re-run
+ * of the traced code, offered here when the trace is out of date.
+ */
+const WatchPanel = () => {
+    const store = usePythonStore();
+    const {
+        executionState,
+        watchExpressions,
+        tracedCode,
+        tracedExpressions,
+        isRunning,
+        addWatchExpression,
+        removeWatchExpression
+    } = store;
+    const [draft, setDraft] = useState('');
+
+    // Values of the current step, by expression
+    const results = new Map((executionState?.watches || []).map(watch => [watch.expression, watch]));
+    const isStale = tracedExpressions !== null &&
+        JSON.stringify(getTraceExpressions(store)) !== JSON.stringify(tracedExpressions);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (draft.trim()) addWatchExpression(draft.trim());
+        setDraft('');
+    };
+
+    // Re-trace the same code (not edits made since), staying on the current step where the new run is long enough
+    const handleRerun = async () => {
+        const stepIndex = usePythonStore.getState().currentStepIndex;
+        await pythonService.runCode(tracedCode);
+
+        const { executionSteps, setCurrentStepIndex } = usePythonStore.getState();
+        setCurrentStepIndex(Math.min(stepIndex, executionSteps.length - 1));
+    };
+
+    return (
+        <div className="px-4 py-2 border-t border-gray-200 bg-white">
+            <div className="flex flex-wrap items-center gap-1.5">
+                <span className="text-xs font-medium text-gray-500 mr-1">Watch:</span>
+
+                {watchExpressions.map(expression => {
+                    const result = results.get(expression);
+                    const text = result ? (result.error ?? result.value) : '—';
+
+                    return (
+                        <span
+                            key={expression}
+                            className="inline-flex items-center px-2 py-0.5 rounded border font-mono text-xs"
+                            style={{
+                                borderColor: result?.error ? COLORS.state.error[100] : COLORS.gray[200],
+                                backgroundColor: result?.error ? COLORS.state.error[50] : COLORS.gray[50]
+                            }}
+                            title={result ? `${expression} = ${text}` : `${expression} isn't evaluated at this step`}
+                        >
+                            <span style={{ color: COLORS.gray[600] }}>{expression}</span>
+                            <span className="mx-1" style={{ color: COLORS.gray[400] }}>=</span>
+                            <span style={{ color: result?.error ? COLORS.state.error[600] : COLORS.gray[900] }}>{text}</span>
+                            <button
+                                onClick={() => removeWatchExpression(expression)}
+                                className="ml-1.5 text-gray-400 hover:text-gray-700"
+                                title="Remove watch"
+                            >
+                                <X className="w-3 h-3" />
+                            </button>
+                        </span>
+                    );
+                })}
+
+                <form onSubmit={handleSubmit}>
+                    <input
+                        type="text"
+                        value={draft}
+                        onChange={(e) => setDraft(e.target.value)}
+                        placeholder="add expression, e.g. len(stack)"
+                        title="Evaluated on copies of the variables it names, so a watch like stack.pop() doesn't change the program"
+                        className="w-52 px-2 py-0.5 text-xs font-mono border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500"
+                    />
+                </form>
+
+                {isStale && (
+                    <button
+                        onClick={handleRerun}
+                        disabled={isRunning || !tracedCode?.trim()}
+                        className="inline-flex items-center px-2 py-0.5 text-xs text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                        title="Watches or breakpoint conditions changed since this run"
+                    >
+                        <RotateCw className="w-3 h-3 mr-1" />
+                        Re-run to evaluate
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default WatchPanel;
@@ -0,0 +1,974 @@
+// =====================================================
+// Python setup and tracing code, loaded into the Pyodide worker
+// =====================================================
+
+// Pyodide distribution used by the worker
+export const PYODIDE_INDEX_URL = "https://cdn.jsdelivr.net/pyodide/v0.27.2/full/";
+
+// Initial Python setup code
+export const PYTHON_SETUP_CODE = `
+import sys
+import json
+from pyodide.ffi import to_js
+from js import Object
+
+# Custom import handling with simpler error message
+import builtins
+real_import = builtins.__import__
+
+def custom_import(name, *args, **kwargs):
+    unsupported_modules = ['numpy', 'np', 'pandas', 'pd', 'matplotlib', 'plt', 'scipy', 'sk', 'sklearn', 'requests']
+    
+    if name.lower() in unsupported_modules:
+        if name.lower() == 'requests':
+            raise ImportError("requests not found or not supported - Only these modules can be imported: **future**, abc, array, bisect, calendar, cmath, collections, copy, datetime, decimal, doctest, fractions, functools, hashlib, heapq, io, itertools, json, locale, math, operator, pickle, pprint, random, re, string, types, typing, unittest")
+        else:
+            raise ImportError(f"Module '{name}' is not supported in this environment. Please use standard Python libraries only.")
+    return real_import(name, *args, **kwargs)
+
+builtins.__import__ = custom_import
+
+execution_steps = []
+`;
+
+// VisualizerState class definition for tracking Python execution
+export const VISUALIZER_STATE_CODE = `
+import collections
+import copy
+import functools
+import heapq
+import inspect
+import types
+
+def is_class_body(code):
+    """Class bodies run as frames of their own, but unlike functions their code isn't optimized"""
+    return code.co_name != '<module>' and not code.co_flags & inspect.CO_OPTIMIZED
+
+class VisualizerState:
+    def __init__(self):
+        self.reset()
+        self.output = ""
+
+    def reset(self):
+        """Forget all heap ids before a new run"""
+        self.heap = {}
+        self.next_heap_id = 1
+        # Python id() -> heap id, stable for the whole run
+        self.object_ids = {}
+        # Keep traced objects alive so their id() can't be reused by a new object
+        self.tracked_objects = []
+        # Python id() of lists that have been passed to a heapq function
+        self.heap_list_ids = set()
+        # Globals of the program being traced; set by run_with_trace
+        self.user_globals = None
+
+    def get_heap_id(self, val):
+        """Return the stable heap id for an object, assigning one the first time it is seen"""
+        key = id(val)
+        if key not in self.object_ids:
+            self.object_ids[key] = f"id{self.next_heap_id}"
+            self.next_heap_id += 1
+            self.tracked_objects.append(val)
+        return self.object_ids[key]
+
+    def process_value(self, val):
+        # Ignore module objects completely
+        if hasattr(val, '__file__') and hasattr(val, '__name__'):
+            # This is likely a module, just return a simplified representation
+            return {
+                "type": "primitive",
+                "value": f"<module '{val.__name__}'>"
+            }
+        
+        # Special handling for numeric values, including size=8
+        if isinstance(val, (int, float)):
+            return {
+                "type": "primitive",
+                "value": str(val)  # Force conversion to string
+            }
+        elif isinstance(val, bool) or val is None:
+            return {
+                "type": "primitive",
+                "value": str(val) if val is not None else "None"
+            }
+        elif isinstance(val, str):
+            return {
+                "type": "primitive",
+                "value": val
+            }
+        
+        # Objects already recorded in this step are shared, not copied (aliasing and cycles)
+        known_id = self.object_ids.get(id(val))
+        if known_id in self.heap:
+            return {"type": "reference", "id": known_id}
+        
+        if isinstance(val, tuple):
+            heap_id = self.get_heap_id(val)
+            # Register before recursing so self-references resolve to this entry
+            self.heap[heap_id] = {
+                "type": "list",
+                "objectType": "tuple",
+                "elements": []
+            }
+            self.heap[heap_id]["elements"] = [self.process_value(x) for x in val]
+            return {"type": "reference", "id": heap_id}
+        elif isinstance(val, list):
+            heap_id = self.get_heap_id(val)
+            self.heap[heap_id] = {
+                "type": "list",
+                # Lists maintained with heapq are drawn with their heap ordering
+                "objectType": "heap" if id(val) in self.heap_list_ids else "list",
+                "elements": []
+            }
+            self.heap[heap_id]["elements"] = [self.process_value(x) for x in val]
+            return {"type": "reference", "id": heap_id}
+        elif isinstance(val, (set, frozenset)):
+            heap_id = self.get_heap_id(val)
+            self.heap[heap_id] = {
+                "type": "set",
+                "objectType": "frozenset" if isinstance(val, frozenset) else "set",
+                "elements": []
+            }
+            self.heap[heap_id]["elements"] = [self.process_value(x) for x in self.stable_order(val)]
+            return {"type": "reference", "id": heap_id}
+        elif isinstance(val, collections.deque):
+            heap_id = self.get_heap_id(val)
+            self.heap[heap_id] = {
+                "type": "deque",
+                "maxlen": val.maxlen,
+                "elements": []
+            }
+            self.heap[heap_id]["elements"] = [self.process_value(x) for x in val]
+            return {"type": "reference", "id": heap_id}
+        # dict subclasses keep the dict entry format but remember what they are
+        elif isinstance(val, (collections.defaultdict, collections.OrderedDict)):
+            heap_id = self.get_heap_id(val)
+            is_default = isinstance(val, collections.defaultdict)
+            self.heap[heap_id] = {
+                "type": "dict",
+                "objectType": "defaultdict" if is_default else "OrderedDict",
+                "entries": []
+            }
+            if is_default:
+                factory = val.default_factory
+                self.heap[heap_id]["defaultFactory"] = getattr(factory, '__name__', str(factory)) if factory else None
+            self.heap[heap_id]["entries"] = self.process_entries(val)
+            return {"type": "reference", "id": heap_id}
+        elif isinstance(val, dict):
+            heap_id = self.get_heap_id(val)
+            self.heap[heap_id] = {
+                "type": "dict",
+                "entries": []
+            }
+            self.heap[heap_id]["entries"] = self.process_entries(val)
+            return {"type": "reference", "id": heap_id}
+        # Classes defined in the user's program (imported classes stay callables)
+        elif isinstance(val, type) and val.__module__ == '__main__':
+            heap_id = self.get_heap_id(val)
+            self.heap[heap_id] = {
+                "type": "class",
+                "name": val.__name__,
+                "bases": [base.__name__ for base in val.__bases__ if base is not object],
+                "methods": [],
+                "attributes": []
+            }
+            for name, member in val.__dict__.items():
+                if name.startswith('__') and name != '__init__':
+                    continue
+                if callable(member):
+                    self.heap[heap_id]["methods"].append(self.get_signature(member))
+                elif not isinstance(member, (staticmethod, classmethod, property, types.MemberDescriptorType)):
+                    self.heap[heap_id]["attributes"].append({"name": name, "value": self.process_value(member)})
+            return {"type": "reference", "id": heap_id}
+        # Instances of user classes, shown with their attributes
+        elif type(val).__module__ == '__main__':
+            heap_id = self.get_heap_id(val)
+            self.heap[heap_id] = {
+                "type": "instance",
+                "className": type(val).__name__,
+                "attributes": []
+            }
+            self.heap[heap_id]["attributes"] = [
+                {"name": name, "value": self.process_value(attr)}
+                for name, attr in self.instance_attributes(val)
+            ]
+            return {"type": "reference", "id": heap_id}
+        elif callable(val):
+            heap_id = self.get_heap_id(val)
+            self.heap[heap_id] = {
+                "type": "function",
+                "name": val.__name__,
+                "value": self.get_signature(val)
+            }
+            return {"type": "reference", "id": heap_id}
+        # Handle Counter objects specially
+        elif hasattr(val, '__class__') and val.__class__.__name__ == 'Counter':
+            heap_id = self.get_heap_id(val)
+            
+            # Store the Counter with a clear label to distinguish it
+            var_name = self._get_variable_name(val) if hasattr(self, '_get_variable_name') else None
+            label = f"Counter for {var_name}" if var_name else "Counter object"
+            
+            self.heap[heap_id] = {
+                "type": "Counter",  # Use Counter type, not dict type
+                "entries": self.process_entries(val),
+                "annotation": label,
+                # Add a unique identifier to ensure separate visualization
+                "_object_id": id(val)  # Use Python's object ID to track unique instances
+            }
+            return {"type": "reference", "id": heap_id}
+        # Handle iterators - simplify their representation completely
+        elif hasattr(val, '__iter__') and hasattr(val, '__next__'):
+            return {
+                "type": "primitive",
+                "value": "iterator"
+            }
+        # Handle regex objects
+        elif hasattr(val, '__class__') and val.__class__.__name__ == 'Pattern':
+            return {
+                "type": "primitive",
+                "value": f"regex: {val.pattern}"
+            }
+        
+        # Default case
+        return {
+            "type": "primitive",
+            "value": str(val)
+        }
+
+    def get_signature(self, func):
+        """Format a function as name(params), falling back to its name for builtins"""
+        try:
+            params = func.__code__.co_varnames[:func.__code__.co_argcount]
+            return f"{func.__name__}({', '.join(params)})"
+        except AttributeError:
+            return getattr(func, '__name__', str(func))
+
+    def instance_attributes(self, obj):
+        """List (name, value) pairs from __dict__ and any __slots__ that are set"""
+        attributes = list(getattr(obj, '__dict__', {}).items())
+        for cls in type(obj).__mro__:
+            slots = cls.__dict__.get('__slots__', ())
+            for name in [slots] if isinstance(slots, str) else slots:
+                if name in ('__dict__', '__weakref__') or not hasattr(obj, name):
+                    continue
+                attributes.append((name, getattr(obj, name)))
+        return attributes
+
+    def stable_order(self, items):
+        """Sort unordered collections when possible so they don't reshuffle between steps"""
+        try:
+            return sorted(items)
+        except TypeError:
+            return list(items)
+
+    def process_entries(self, mapping):
+        """Process a mapping into key/value pairs, keeping references for both sides"""
+        return [
+            {"key": self.process_value(k), "value": self.process_value(v)}
+            for k, v in mapping.items()
+        ]
+
+    def process_indexed_string(self, val):
+        """Process a string the program indexes into as a row of characters, so index pointers and
+        the characters a line compares can be drawn on it like on a list"""
+        known_id = self.object_ids.get(id(val))
+        if known_id in self.heap:
+            return {"type": "reference", "id": known_id}
+
+        heap_id = self.get_heap_id(val)
+        self.heap[heap_id] = {
+            "type": "list",
+            "objectType": "str",
+            "elements": [{"type": "primitive", "value": char} for char in val]
+        }
+        return {"type": "reference", "id": heap_id}
+
+    def process_variable(self, name, val):
+        """Process a variable's value; strings it is indexed like s[i] are drawn as characters"""
+        if isinstance(val, str) and name in trace_source["index_names"]:
+            return self.process_indexed_string(val)
+        return self.process_value(val)
+
+    def _get_variable_name(self, obj):
+        """Try to find variable name for an object by scanning frame locals"""
+        for frame in execution_steps:
+            if frame and frame.get("frame") and frame["frame"].get("variables"):
+                for name, val in frame["frame"]["variables"].items():
+                    if val and val.get("type") == "reference" and val.get("id"):
+                        heap_obj = self.heap.get(val["id"])
+                        if heap_obj and heap_obj.get("_object_id") == id(obj):
+                            return name
+        return None
+
+    def capture_variables(self, frame):
+        """Collect the visible variables of a single frame"""
+        variables = {}
+
+        # For global frame, only include user-defined variables
+        if frame.f_code.co_name == '<module>':
+            # Filter variables to only show the ones we want
+            for name, val in frame.f_globals.items():
+                # Skip all internal/system variables
+                if (name.startswith('__') or 
+                    name in ['sys', 'json', 'builtins', 'custom_import', 'visualization', 'visualizer'] or
+                    name.startswith('_')):
+                    continue
+                    
+                # Include only specific important variables
+                if name in ['Counter', 'winner', 'input'] or not name.startswith(('get_', 'set_', 'run_', 'trace_')):
+                    variables[name] = self.process_variable(name, val)
+        else:
+            # For other frames, include most local variables but still filter system ones
+            for name, val in frame.f_locals.items():
+                if name.startswith('__'):
+                    continue
+                variables[name] = self.process_variable(name, val)
+        
+        return variables
+
+    def collect_stack(self, frame):
+        """Walk f_back from the current frame up to the user's <module> frame"""
+        stack = []
+        current = frame
+        while current is not None:
+            # The wrapper recording cache hits and class bodies are not part of the user's call stack
+            if current.f_code.co_name != 'cache_wrapper' and not is_class_body(current.f_code):
+                # Frames outside the user's program (the tracer, Pyodide) are never part of it
+                if current.f_globals is not self.user_globals:
+                    break
+                stack.append(current)
+            if current.f_code.co_name == '<module>':
+                break
+            current = current.f_back
+        
+        # Outermost (global) frame first, innermost last
+        stack.reverse()
+        return stack
+
+    def capture_frame(self, frame):
+        """Capture and process the full call stack for visualization"""
+        # Each step gets its own heap snapshot; ids stay stable across snapshots
+        self.heap = {}
+        frames = []
+        stack = self.collect_stack(frame)
+        
+        for depth, stack_frame in enumerate(stack):
+            is_global = stack_frame.f_code.co_name == '<module>'
+            frames.append({
+                "name": 'Global frame' if is_global else stack_frame.f_code.co_name,
+                "variables": self.capture_variables(stack_frame),
+                "currentLine": stack_frame.f_lineno,
+                "depth": depth,
+                "is_highlighted": stack_frame is frame
+            })
+        
+        # Create the frame info structure; "frame" keeps the innermost frame for older consumers
+        frame_info = {
+            "frame": frames[-1],
+            "frames": frames,
+            "heap": self.heap,
+            "output": get_output(),
+            "currentLine": frame.f_lineno
+        }
+        
+        return frame_info
+
+visualizer = VisualizerState()
+
+def track_heapq(func):
+    """Wrap a heapq function so the lists it works on are drawn as heaps"""
+    def heapq_wrapper(heap, *args, **kwargs):
+        visualizer.heap_list_ids.add(id(heap))
+        return func(heap, *args, **kwargs)
+    heapq_wrapper.__name__ = func.__name__
+    heapq_wrapper.__doc__ = func.__doc__
+    return heapq_wrapper
+
+for heapq_name in ['heappush', 'heappop', 'heapify', 'heappushpop', 'heapreplace']:
+    setattr(heapq, heapq_name, track_heapq(getattr(heapq, heapq_name)))
+
+def track_cache(cached):
+    """Wrap an lru_cache function so calls answered from the cache, which run no Python code, are recorded"""
+    def cache_wrapper(*args, **kwargs):
+        before = cached.cache_info()
+        result = cached(*args, **kwargs)
+        after = cached.cache_info()
+        # A miss runs the function, whose own recursive calls may hit; this call hit only if nothing missed
+        if after.misses == before.misses and after.hits > before.hits and execution_steps:
+            # The hit belongs to the call tree at the latest step
+            execution_steps[-1].setdefault("cacheHits", []).append({
+                "name": cached.__name__,
+                "args": ", ".join([repr(arg) for arg in args] + [f"{key}={value!r}" for key, value in kwargs.items()]),
+                "returnValue": repr(result)
+            })
+        return result
+    functools.update_wrapper(cache_wrapper, cached)
+    cache_wrapper.cache_info = cached.cache_info
+    cache_wrapper.cache_clear = cached.cache_clear
+    return cache_wrapper
+
+real_lru_cache = functools.lru_cache
+
+def traced_lru_cache(maxsize=128, typed=False):
+    # Used bare (@lru_cache) the decorated function arrives as maxsize
+    if callable(maxsize):
+        return track_cache(real_lru_cache(maxsize, typed))
+    def cache_decorator(func):
+        return track_cache(real_lru_cache(maxsize, typed)(func))
+    return cache_decorator
+
+# functools.cache looks lru_cache up at call time, so it is covered too
+functools.lru_cache = traced_lru_cache
+`;
+
+// Output capturing and execution tracing
+export const OUTPUT_AND_TRACING_CODE = `
+class OutputCapturer:
+    def __init__(self):
+        self.value = ""
+    
+    def write(self, text):
+        self.value += text
+        sys.__stdout__.write(text)
+    
+    def flush(self):
+        sys.__stdout__.flush()
+
+capturer = OutputCapturer()
+sys.stdout = capturer
+
+def get_output():
+    return capturer.value
+
+def create_error_state(error_type, error_msg):
+    """Create and add an error state to execution steps"""
+    full_message = f"{error_type}: {error_msg}"
+    print(full_message)
+    error_frame = {"name": "Global frame", "variables": {}}
+    state = {
+        "frame": error_frame,
+        "frames": [error_frame],
+        "heap": {}, 
+        "output": get_output(),  # Earlier prints plus the error message
+        "currentLine": 1
+    }
+    execution_steps.append(state)
+
+def filter_system_variables(variables_dict):
+    """Filter out system variables from a variables dictionary"""
+    filtered = {}
+    for name, value in variables_dict.items():
+        if not name.startswith('__') and name not in [
+            'custom_import', 'real_import', 'unsupported_modules',
+            'builtins', 'json', 'sys', 'to_js', 'visualizer',
+            'execution_steps', 'trace_execution', 'run_with_trace',
+            'create_error_state', 'filter_system_variables']:
+            filtered[name] = value
+    return filtered
+
+# Step cap for the current run; set by run_with_trace
+trace_limits = {"max_steps": 1000, "truncated": False}
+
+class TraceLimitReached(BaseException):
+    """Raised into the program to stop it at the step cap; a BaseException so the user's
+    own except Exception handlers don't catch it"""
+
+# sys.monitoring tool that keeps raising TraceLimitReached once the cap is reached
+STOP_TOOL_ID = sys.monitoring.DEBUGGER_ID
+
+def raise_at_user_line(code, line_number):
+    # exec compiles the program as "<string>"; the tracer around it keeps running
+    if code.co_filename == '<string>':
+        raise TraceLimitReached()
+
+def stop_program():
+    """Raise TraceLimitReached on every line the program runs from now on. A trace function that
+    raises is unset, so a bare except: could swallow a single raise and let the program run on
+    untraced; a monitoring callback stays registered and raises again inside the handler"""
+    monitoring = sys.monitoring
+    monitoring.use_tool_id(STOP_TOOL_ID, "step cap")
+    monitoring.register_callback(STOP_TOOL_ID, monitoring.events.LINE, raise_at_user_line)
+    monitoring.set_events(STOP_TOOL_ID, monitoring.events.LINE)
+
+def release_program_stop():
+    """Remove the stop once the program has ended"""
+    monitoring = sys.monitoring
+    if monitoring.get_tool(STOP_TOOL_ID) is None:
+        return
+    monitoring.set_events(STOP_TOOL_ID, 0)
+    monitoring.register_callback(STOP_TOOL_ID, monitoring.events.LINE, None)
+    monitoring.free_tool_id(STOP_TOOL_ID)
+
+def truncate_trace(frame):
+    """Stop tracing once the step cap is reached and mark the end of the partial trace"""
+    trace_limits["truncated"] = True
+    sys.settrace(None)
+    
+    # Frames already on the stack keep their local trace function unless it is cleared
+    current = frame
+    while current is not None:
+        current.f_trace = None
+        current = current.f_back
+    
+    marker = visualizer.capture_frame(frame)
+    marker["kind"] = "truncated"
+    execution_steps.append(marker)
+    stop_program()
+
+import ast
+
+# Source of the current run, split into lines, and the names each name is indexed with; set by run_with_trace
+trace_source = {"lines": [], "subscripts": {}, "index_names": {}}
+
+def collect_index_names(code):
+    """Map every name the program subscripts to the names used in its index expressions (arr -> {i, j})"""
+    index_names = {}
+    try:
+        tree = ast.parse(code)
+    except SyntaxError:
+        return index_names
+
+    for node in ast.walk(tree):
+        if isinstance(node, ast.Subscript) and isinstance(node.value, ast.Name):
+            names = index_names.setdefault(node.value.id, set())
+            for child in ast.walk(node.slice):
+                if isinstance(child, ast.Name):
+                    names.add(child.id)
+    return index_names
+
+def add_pointer_names(state):
+    """Tell each frame which of its variables are used to index which of its lists (and indexed strings)"""
+    heap = state.get("heap", {})
+    for frame_info in state.get("frames", []):
+        variables = frame_info.get("variables", {})
+        pointer_names = {}
+        for name, value in variables.items():
+            candidates = trace_source["index_names"].get(name)
+            if not candidates or value.get("type") != "reference" or heap.get(value["id"], {}).get("type") != "list":
+                continue
+            names = pointer_names.setdefault(value["id"], [])
+            names.extend(c for c in sorted(candidates) if c in variables and c not in names)
+        frame_info["pointerNames"] = pointer_names
+
+def get_subscript_chain(node):
+    """Split name[a][b]... into the name and its index expressions, or None for anything else"""
+    slices = []
+    while isinstance(node, ast.Subscript) and not isinstance(node.slice, ast.Slice):
+        slices.insert(0, node.slice)
+        node = node.value
+    if isinstance(node, ast.Name) and slices:
+        return (node.id, slices)
+    return None
+
+def parse_subscripts(lineno):
+    """List the (name, index expressions) pairs a source line reads as name[i] or name[i][j], cached per line"""
+    if lineno in trace_source["subscripts"]:
+        return trace_source["subscripts"][lineno]
+
+    lines = trace_source["lines"]
+    text = lines[lineno - 1].strip() if 0 < lineno <= len(lines) else ""
+    # Compound statement headers (if/elif/while/for) only parse with a body
+    candidates = [text, text + " pass"]
+    if text.startswith("elif "):
+        candidates.append(text[2:] + " pass")
+
+    tree = None
+    for candidate in candidates:
+        try:
+            tree = ast.parse(candidate)
+            break
+        except SyntaxError:
+            continue
+
+    subscripts = []
+    if tree is not None:
+        for node in ast.walk(tree):
+            chain = get_subscript_chain(node) if isinstance(node, ast.Subscript) and isinstance(node.ctx, ast.Load) else None
+            if chain:
+                subscripts.append(chain)
+
+    trace_source["subscripts"][lineno] = subscripts
+    return subscripts
+
+def evaluate_index(node, frame):
+    """Evaluate a simple index expression (names, ints, + - * // %) without running user code"""
+    if isinstance(node, ast.Constant) and type(node.value) is int:
+        return node.value
+    if isinstance(node, ast.Name):
+        value = frame.f_locals.get(node.id, frame.f_globals.get(node.id))
+        return value if type(value) is int else None
+    if isinstance(node, ast.UnaryOp) and isinstance(node.op, ast.USub):
+        operand = evaluate_index(node.operand, frame)
+        return -operand if operand is not None else None
+    if isinstance(node, ast.BinOp):
+        left = evaluate_index(node.left, frame)
+        right = evaluate_index(node.right, frame)
+        if left is None or right is None:
+            return None
+        if isinstance(node.op, ast.Add):
+            return left + right
+        if isinstance(node.op, ast.Sub):
+            return left - right
+        if isinstance(node.op, ast.Mult):
+            return left * right
+        if isinstance(node.op, (ast.FloorDiv, ast.Mod)) and right != 0:
+            return left // right if isinstance(node.op, ast.FloorDiv) else left % right
+    return None
+
+def capture_reads(frame, heap):
+    """Find the list cells the line about to run reads, e.g. the two cells a sort compares, the
+    neighbours a DP cell is computed from (a cell of a nested list is read from its row) or the
+    characters of a string compared from both ends"""
+    reads = []
+    for name, index_nodes in parse_subscripts(frame.f_lineno):
+        target = frame.f_locals.get(name, frame.f_globals.get(name))
+        for depth, index_node in enumerate(index_nodes):
+            if not isinstance(target, (list, tuple, str)):
+                break
+            index = evaluate_index(index_node, frame)
+            if index is None or not -len(target) <= index < len(target):
+                break
+            if depth < len(index_nodes) - 1:
+                target = target[index]
+                continue
+            heap_id = visualizer.object_ids.get(id(target))
+            if heap_id in heap:
+                read = {"id": heap_id, "index": index % len(target)}
+                if read not in reads:
+                    reads.append(read)
+    return reads
+
+# Watch expressions and breakpoint conditions of the current run, compiled; set by run_with_trace
+trace_expressions = {"watches": [], "conditions": {}}
+
+MAX_WATCH_REPR = 80
+
+def compile_expression(text):
+    """Compile a watch or condition; a syntax error is kept and reported on every step"""
+    try:
+        return compile(text, "<watch>", "eval")
+    except SyntaxError as e:
+        return e
+
+def get_expression_names(code):
+    """List the names an expression looks up, including inside its comprehensions and lambdas"""
+    names = set(code.co_names)
+    for const in code.co_consts:
+        if isinstance(const, types.CodeType):
+            names |= get_expression_names(const)
+    return names
+
+def evaluate_expression(compiled, frame):
+    """Evaluate a compiled watch or condition in the frame's scope, returning (value, error).
+    The variables it names are deep copies, so a watch like stack.pop() or seen.add(x) can't change
+    the program being traced; a variable that can't be copied makes the expression fail instead.
+    Limitation: functions the expression calls still run against the program's real globals"""
+    if isinstance(compiled, SyntaxError):
+        return None, f"SyntaxError: {compiled.msg}"
+
+    scope = {**frame.f_globals, **frame.f_locals}
+    # One memo for all names, so variables sharing an object still share its copy
+    memo = {}
+    for name in get_expression_names(compiled):
+        if name not in scope or isinstance(scope[name], types.ModuleType):
+            continue
+        try:
+            scope[name] = copy.deepcopy(scope[name], memo)
+        except Exception:
+            return None, f"not evaluated: {name} can't be copied, and the watch could change it"
+
+    try:
+        return eval(compiled, scope), None
+    except Exception as e:
+        return None, f"{type(e).__name__}: {e}"
+
+def add_expression_results(state, frame):
+    """Record the watch values of the step and whether the condition of a breakpoint on its line holds"""
+    if trace_expressions["watches"]:
+        watches = []
+        for text, compiled in trace_expressions["watches"]:
+            value, error = evaluate_expression(compiled, frame)
+            if error:
+                watches.append({"expression": text, "error": error})
+                continue
+            try:
+                shown = repr(value)
+            except Exception as e:
+                shown = f"<{type(e).__name__} in repr>"
+            if len(shown) > MAX_WATCH_REPR:
+                shown = shown[:MAX_WATCH_REPR - 1] + "…"
+            watches.append({"expression": text, "value": shown})
+        state["watches"] = watches
+
+    condition = trace_expressions["conditions"].get(frame.f_lineno)
+    if condition is not None and state.get("kind") in ("line", "call"):
+        value, error = evaluate_expression(condition, frame)
+        try:
+            state["conditionMet"] = error is None and bool(value)
+        except Exception as e:
+            error = f"{type(e).__name__}: {e}"
+            state["conditionMet"] = False
+        if error:
+            state["conditionError"] = error
+
+# Frames an exception is propagating out of: frame -> the exception, until the frame handles it
+unwinding_frames = {}
+
+# Track generator expression current item
+def trace_execution(frame, event, arg):
+    # The step cap was reached - the program is being stopped
+    if trace_limits["truncated"]:
+        return None
+    
+    # Skip frames that contain custom_import or other system frames
+    if (frame.f_code.co_name in ['custom_import', '__import__', 'heapq_wrapper', 'traced_lru_cache',
+                                 'cache_decorator', 'track_cache', 'cache_wrapper'] or
+        'custom_import' in frame.f_locals or
+        frame.f_globals.get('__name__', '').startswith(('re', 'collections', 'importlib'))):
+        return trace_execution
+    
+    # Only the user's program is recorded - the tracer's own frames (e.g. the output
+    # capturer's write) share __name__ == '__main__' but not the user's globals
+    if frame.f_globals is not visualizer.user_globals:
+        return trace_execution
+    
+    # A class statement runs its body like a call; it is shown as one line, not as a function frame
+    if is_class_body(frame.f_code):
+        return None
+    
+    # Capture main script execution
+    if event == 'line':
+        # Always capture at least one frame from the main script to ensure output display
+        # but avoid duplicate frames for the same line
+        
+        # If we already have steps and this is the same line as the last step, skip
+        if (len(execution_steps) > 0 and 
+            execution_steps[-1].get("currentLine") == frame.f_lineno and
+            frame.f_code.co_name == '__main__'):
+            return trace_execution
+        
+        # Running on in the frame means it caught the exception
+        unwinding_frames.pop(frame, None)
+        
+        # Capture frame regardless of variables for output display
+        state = visualizer.capture_frame(frame)
+        state["kind"] = "line"
+        state["reads"] = capture_reads(frame, state["heap"])
+    
+    # Function entry - the module itself is entered before the first line event
+    elif event == 'call' and frame.f_code.co_name != '<module>':
+        state = visualizer.capture_frame(frame)
+        state["kind"] = "call"
+    
+    # End of the program - a final step shows the effect of the last line
+    elif event == 'return' and frame.f_code.co_name == '<module>':
+        state = visualizer.capture_frame(frame)
+        state["kind"] = "finished"
+    
+    # Function exit - attach the returned value to the returning frame, or, when an exception
+    # unwinds it (Python then reports a return of None), the exception instead
+    elif event == 'return':
+        raised = unwinding_frames.pop(frame, None)
+        state = visualizer.capture_frame(frame)
+        state["kind"] = "return"
+        if raised:
+            state["frame"]["raised"] = raised
+        else:
+            state["frame"]["returnValue"] = visualizer.process_value(arg)
+    
+    # Exception raised (or propagated) in this frame
+    elif event == 'exception':
+        exc_type, exc_value, _ = arg
+        state = visualizer.capture_frame(frame)
+        state["kind"] = "exception"
+        state["exception"] = {
+            "type": exc_type.__name__,
+            "message": str(exc_value),
+            "line": frame.f_lineno
+        }
+        unwinding_frames[frame] = {"type": exc_type.__name__, "message": str(exc_value)}
+    
+    else:
+        return trace_execution
+    
+    add_pointer_names(state)
+    add_expression_results(state, frame)
+    execution_steps.append(state)
+    if len(execution_steps) >= trace_limits["max_steps"]:
+        truncate_trace(frame)
+        # Stop the program too, or a runaway loop would run on untraced until the timeout
+        raise TraceLimitReached()
+    
+    return trace_execution
+`;
+
+// Code execution function
+export const RUN_WITH_TRACE_CODE = `
+def run_with_trace(code, max_steps=1000, expressions="{}"):
+    try:
+        visualizer.reset()
+        # The previous run put the real stdout back, and the worker is reused between runs
+        sys.stdout = capturer
+        capturer.value = ""
+        execution_steps.clear()
+        unwinding_frames.clear()
+        trace_limits["max_steps"] = max_steps
+        trace_limits["truncated"] = False
+        trace_source["lines"] = code.splitlines()
+        trace_source["subscripts"] = {}
+        trace_source["index_names"] = collect_index_names(code)
+
+        # Watches and conditions arrive as JSON: {"watches": [text], "conditions": {line: text}}
+        requested = json.loads(expressions)
+        trace_expressions["watches"] = [(text, compile_expression(text)) for text in requested.get("watches", [])]
+        trace_expressions["conditions"] = {
+            int(line): compile_expression(text) for line, text in requested.get("conditions", {}).items()
+        }
+
+        # Initialize with __name__ set to __main__
+        namespace = {'__name__': '__main__'}
+        visualizer.user_globals = namespace
+        
+        # Run the code with tracing
+        error = None
+        sys.settrace(trace_execution)
+        try:
+            exec(code, namespace)
+        except TraceLimitReached:
+            pass
+        except ImportError as e:
+            error = ("Error", str(e))
+        except KeyError as e:
+            error = ("KeyError", str(e))
+        except Exception as e:
+            error = ("Error", str(e))
+        sys.settrace(None)
+        release_program_stop()
+        
+        # Reported only once tracing is off - printing the message must not be traced as a step;
+        # whatever a program stopped at the cap raised on its way out isn't its own error
+        if error and not trace_limits["truncated"]:
+            create_error_state(*error)
+        
+        # Post-process: Strip out unwanted objects from all steps
+        for step_idx, step in enumerate(execution_steps):
+            # 1. Filter frame variables across the whole call stack
+            for frame_info in step.get("frames") or [step.get("frame")]:
+                if frame_info and frame_info.get("variables"):
+                    frame_info["variables"] = filter_system_variables(frame_info["variables"])
+            
+            # 2. Filter heap objects
+            if step and step.get("heap"):
+                # Identify heap objects to remove (those referenced by unwanted variables)
+                objects_to_remove = []
+                for obj_id, obj in step["heap"].items():
+                    # Remove dictionaries with __name__ and __builtins__
+                    if obj.get("type") == "dict" and obj.get("entries"):
+                        keys = [entry["key"].get("value") for entry in obj["entries"]]
+                        if "__name__" in keys or "__builtins__" in keys:
+                            objects_to_remove.append(obj_id)
+                
+                # Remove the unwanted objects
+                for obj_id in objects_to_remove:
+                    if obj_id in step["heap"]:
+                        del step["heap"][obj_id]
+        
+        # Process final state if no steps were captured
+        if len(execution_steps) == 0:
+            # There is no user frame left to capture, so show an empty global frame
+            empty_frame = {"name": "Global frame", "variables": {}}
+            execution_steps.append({
+                "frame": empty_frame,
+                "frames": [empty_frame],
+                "heap": {},
+                "output": get_output(),
+                "currentLine": 1
+            })
+        
+        # Special enhancement for Counter
+        for step in execution_steps:
+            # Add annotation to Counter in heap
+            for obj_id, obj in step.get("heap", {}).items():
+                if obj.get("type") == "Counter" or (obj.get("entries") and "Counter" in str(obj.get("entries"))):
+                    obj["annotation"] = "imported class Counter"
+        
+        # Duplicate step if only one exists to make sure visualization works
+        if len(execution_steps) == 1:
+            execution_steps.append(execution_steps[0])
+        
+        # Plain JS objects (not Maps) so the steps can be posted out of the worker
+        return to_js(execution_steps, dict_converter=Object.fromEntries)
+    except Exception as e:
+        print(f"Error: {str(e)}")
+        sys.settrace(None)
+        return to_js([], dict_converter=Object.fromEntries)
+    finally:
+        # A KeyboardInterrupt from cancel() skips the handlers above
+        sys.settrace(None)
+        release_program_stop()
+        unwinding_frames.clear()
+        sys.stdout = sys.__stdout__
+`;
+
+// Input handling code
+export const INPUT_HANDLING_CODE = `
+import builtins
+from js import handlePythonInput
+
+original_input = builtins.input
+
+def custom_input(prompt=""):
+    # Print the prompt
+    if prompt:
+        print(prompt, end="")
+    
+    # Call the JavaScript input handler
+    result = handlePythonInput(prompt)
+    if result is None:
+        raise RuntimeError("input() is unavailable: the page must be served with the headers "
+                           "Cross-Origin-Opener-Policy: same-origin and Cross-Origin-Embedder-Policy: require-corp")
+    
+    # Echo the input
+    print(result)
+    return result
+
+builtins.input = custom_input
+`;
+
+// Python code for syntax validation - fixed indentation and line handling
+export const PYTHON_VALIDATION_CODE = `
+import ast
+
+def validate_syntax(code):
+    try:
+        # First check syntax
+        ast.parse(code)
+        
+        # Then check for runtime errors by executing in a safe context
+        try:
+            # Create a copy of the code to check for runtime errors
+            exec(compile(code, '<string>', 'exec'), {})
+            return None
+        except (TypeError, IndexError, NameError) as e:
+            # Get line number from traceback
+            import sys, traceback
+            tb = traceback.extract_tb(sys.exc_info()[2])
+            return {
+                'line': tb[-1].lineno if tb else 1,
+                'column': 1,
+                'message': str(e)
+            }
+    except SyntaxError as e:
+        return {
+            'line': e.lineno,
+            'column': e.offset,
+            'message': str(e)
+        }
+    except Exception as e:
+        return {
+            'line': 1,
+            'column': 1,
+            'message': str(e)
+        }
+`;
@@ -1,4 +1,6 @@
 import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import { computeStepDiff } from '../visualization/stepDiff';
 
 // =====================================================
 // Store for managing user input prompts
@@ -35,12 +37,27 @@ export const useInputStore = create((set) => ({
 // =====================================================
 // Store for managing Python execution state
 // =====================================================
-export const usePythonStore = create((set) => ({
+export const usePythonStore = create(persist((set) => ({
     isInitialized: false,
     isRunning: false,
     error: null,
+    executionTimeout: 10, // Seconds before a running program is stopped
+    maxSteps: 1000,       // Trace steps recorded before the trace is truncated
     executionSteps: [],
     currentStepIndex: 0,
+    // What changed since the previous step (see computeStepDiff); null on the first step
+    stepDiff: null,
+    // Source lines to stop at, ascending; kept across runs and page reloads
+    breakpoints: [],
+    // Python conditions of conditional breakpoints, by line; evaluated when the code is traced
+    breakpointConditions: {},
+    // Python expressions evaluated in the current frame at every step
+    watchExpressions: [],
+    // Keys the user rebound shortcut actions to: action -> keys (see getShortcuts)
+    shortcutBindings: {},
+    // Code and watches/conditions the current trace was recorded with, to tell when it is out of date
+    tracedCode: null,
+    tracedExpressions: null,
     executionState: {
         frame: {
             variables: {}
@@ -55,18 +72,19 @@ export const usePythonStore = create((set) => ({
         executionState: { ...prev.executionState, ...state }
     })),
 
-    setExecutionSteps: (steps) => set({ executionSteps: steps }),
+    setExecutionSteps: (steps) => set({ executionSteps: steps, stepDiff: null }),
 
     setCurrentStepIndex: (index) => set((prev) => {
         if (index >= 0 && index < prev.executionSteps.length) {
             const currentStep = prev.executionSteps[index];
-            const lastStep = prev.executionSteps[prev.executionSteps.length - 1];
             return {
                 currentStepIndex: index,
                 executionState: {
                     ...currentStep,
-                    output: lastStep?.output || ''
-                }
+                    // Each step carries the stdout printed up to that point
+                    output: currentStep?.output || ''
+                },
+                stepDiff: index > 0 ? computeStepDiff(prev.executionSteps[index - 1], currentStep) : null
             };
         }
         return prev;
@@ -74,444 +92,278 @@ export const usePythonStore = create((set) => ({
 
     setError: (error) => set({ error }),
     setIsRunning: (isRunning) => set({ isRunning }),
-    setIsInitialized: (isInitialized) => set({ isInitialized })
-}));
+    setIsInitialized: (isInitialized) => set({ isInitialized }),
+    setExecutionTimeout: (executionTimeout) => set({ executionTimeout: Math.max(1, Math.floor(executionTimeout) || 1) }),
+    setMaxSteps: (maxSteps) => set({ maxSteps: Math.max(1, Math.floor(maxSteps) || 1) }),
 
-// =====================================================
-// Python setup and tracing code (extracted for readability)
-// =====================================================
+    toggleBreakpoint: (line) => set((prev) => {
+        if (!prev.breakpoints.includes(line)) {
+            return { breakpoints: [...prev.breakpoints, line].sort((a, b) => a - b) };
+        }
+        const breakpointConditions = { ...prev.breakpointConditions };
+        delete breakpointConditions[line];
+        return { breakpoints: prev.breakpoints.filter(l => l !== line), breakpointConditions };
+    }),
 
-// Initial Python setup code
-const PYTHON_SETUP_CODE = `
-import sys
-import json
-from pyodide.ffi import to_js
-
-# Custom import handling with simpler error message
-import builtins
-real_import = builtins.__import__
-
-def custom_import(name, *args, **kwargs):
-    unsupported_modules = ['numpy', 'np', 'pandas', 'pd', 'matplotlib', 'plt', 'scipy', 'sk', 'sklearn', 'requests']
-    
-    if name.lower() in unsupported_modules:
-        if name.lower() == 'requests':
-            raise ImportError("requests not found or not supported - Only these modules can be imported: **future**, abc, array, bisect, calendar, cmath, collections, copy, datetime, decimal, doctest, fractions, functools, hashlib, heapq, io, itertools, json, locale, math, operator, pickle, pprint, random, re, string, types, typing, unittest")
-        else:
-            raise ImportError(f"Module '{name}' is not supported in this environment. Please use standard Python libraries only.")
-    return real_import(name, *args, **kwargs)
-
-builtins.__import__ = custom_import
-
-execution_steps = []
-`;
-
-// VisualizerState class definition for tracking Python execution
-const VISUALIZER_STATE_CODE = `
-class VisualizerState:
-    def __init__(self):
-        self.heap = {}
-        self.next_heap_id = 1
-        self.output = ""
-
-    def get_heap_id(self):
-        id = self.next_heap_id
-        self.next_heap_id += 1
-        return f"id{id}"
-
-    def process_value(self, val):
-        # Ignore module objects completely
-        if hasattr(val, '__file__') and hasattr(val, '__name__'):
-            # This is likely a module, just return a simplified representation
-            return {
-                "type": "primitive",
-                "value": f"<module '{val.__name__}'>"
-            }
-        
-        # Special handling for numeric values, including size=8
-        if isinstance(val, (int, float)):
-            return {
-                "type": "primitive",
-                "value": str(val)  # Force conversion to string
-            }
-        elif isinstance(val, bool) or val is None:
-            return {
-                "type": "primitive",
-                "value": str(val) if val is not None else "None"
-            }
-        elif isinstance(val, str):
-            return {
-                "type": "primitive",
-                "value": val
-            }
-        elif isinstance(val, tuple):
-            heap_id = self.get_heap_id()
-            elements = [self.process_value(x) for x in val]
-            self.heap[heap_id] = {
-                "type": "list",
-                "objectType": "tuple",
-                "elements": elements
-            }
-            return {"type": "reference", "id": heap_id}
-        elif isinstance(val, list):
-            heap_id = self.get_heap_id()
-            elements = [self.process_value(x) for x in val]
-            self.heap[heap_id] = {
-                "type": "list",
-                "objectType": "list",
-                "elements": elements
-            }
-            return {"type": "reference", "id": heap_id}
-        elif isinstance(val, dict):
-            heap_id = self.get_heap_id()
-            self.heap[heap_id] = {
-                "type": "dict",
-                "value": {
-                    str(k): self.process_value(v)["value"] if isinstance(v, (int, float, bool, str)) else str(v)
-                    for k, v in val.items()
-                }
-            }
-            return {"type": "reference", "id": heap_id}
-        elif callable(val):
-            heap_id = self.get_heap_id()
-            try:
-                params = val.__code__.co_varnames[:val.__code__.co_argcount]
-                signature = f"{val.__name__}({', '.join(params)})"
-            except AttributeError:
-                signature = val.__name__
-            
-            self.heap[heap_id] = {
-                "type": "function",
-                "name": val.__name__,
-                "value": signature
-            }
-            return {"type": "reference", "id": heap_id}
-        # Handle Counter objects specially
-        elif hasattr(val, '__class__') and val.__class__.__name__ == 'Counter':
-            # Always create a unique heap ID for Counter objects
-            heap_id = self.get_heap_id()
-            
-            # Store the Counter with a clear label to distinguish it
-            var_name = self._get_variable_name(val) if hasattr(self, '_get_variable_name') else None
-            label = f"Counter for {var_name}" if var_name else "Counter object"
-            
-            self.heap[heap_id] = {
-                "type": "Counter",  # Use Counter type, not dict type
-                "value": {
-                    str(k): str(v) for k, v in val.items()
-                },
-                "annotation": label,
-                # Add a unique identifier to ensure separate visualization
-                "_object_id": id(val)  # Use Python's object ID to track unique instances
-            }
-            return {"type": "reference", "id": heap_id}
-        # Handle iterators - simplify their representation completely
-        elif hasattr(val, '__iter__') and hasattr(val, '__next__'):
-            return {
-                "type": "primitive",
-                "value": "iterator"
-            }
-        # Handle regex objects
-        elif hasattr(val, '__class__') and val.__class__.__name__ == 'Pattern':
-            return {
-                "type": "primitive",
-                "value": f"regex: {val.pattern}"
-            }
-        
-        # Default case
+    // Moves breakpoints (and their conditions) to new lines: old line -> new line
+    moveBreakpoints: (moves) => set((prev) => {
+        const breakpointConditions = {};
+        Object.entries(prev.breakpointConditions).forEach(([line, condition]) => {
+            const moved = moves.get(Number(line)) ?? Number(line);
+            breakpointConditions[moved] ??= condition;
+        });
         return {
-            "type": "primitive",
-            "value": str(val)
-        }
+            breakpoints: [...new Set(prev.breakpoints.map(line => moves.get(line) ?? line))].sort((a, b) => a - b),
+            breakpointConditions
+        };
+    }),
 
-    def _get_variable_name(self, obj):
-        """Try to find variable name for an object by scanning frame locals"""
-        for frame in execution_steps:
-            if frame and frame.get("frame") and frame["frame"].get("variables"):
-                for name, val in frame["frame"]["variables"].items():
-                    if val and val.get("type") == "reference" and val.get("id"):
-                        heap_obj = self.heap.get(val["id"])
-                        if heap_obj and heap_obj.get("_object_id") == id(obj):
-                            return name
-        return None
-
-    def capture_frame(self, frame):
-        """Capture and process a frame for visualization"""
-        # Create the frame info structure
-        frame_info = {
-            "frame": {
-                "name": frame.f_code.co_name if frame.f_code.co_name != '<module>' else 'Global frame',
-                "variables": {}
-            },
-            "heap": self.heap,
-            "output": get_output(),
-            "currentLine": frame.f_lineno
-        }
-        
-        # For global frame, only include user-defined variables
-        if frame.f_code.co_name == '<module>':
-            # Filter variables to only show the ones we want
-            for name, val in frame.f_globals.items():
-                # Skip all internal/system variables
-                if (name.startswith('__') or 
-                    name in ['sys', 'json', 'builtins', 'custom_import', 'visualization', 'visualizer'] or
-                    name.startswith('_')):
-                    continue
-                    
-                # Include only specific important variables
-                if name in ['Counter', 'winner', 'input'] or not name.startswith(('get_', 'set_', 'run_', 'trace_')):
-                    frame_info["frame"]["variables"][name] = self.process_value(val)
-        else:
-            # For other frames, include most local variables but still filter system ones
-            for name, val in frame.f_locals.items():
-                if name.startswith('__') or name in ['self', 'cls']:
-                    continue
-                frame_info["frame"]["variables"][name] = self.process_value(val)
-        
-        return frame_info
-
-visualizer = VisualizerState()
-`;
-
-// Output capturing and execution tracing
-const OUTPUT_AND_TRACING_CODE = `
-class OutputCapturer:
-    def __init__(self):
-        self.value = ""
-    
-    def write(self, text):
-        self.value += text
-        sys.__stdout__.write(text)
-    
-    def flush(self):
-        sys.__stdout__.flush()
-
-capturer = OutputCapturer()
-sys.stdout = capturer
-
-def get_output():
-    return capturer.value
-
-def create_error_state(error_type, error_msg):
-    """Create and add an error state to execution steps"""
-    full_message = f"{error_type}: {error_msg}"
-    print(full_message)
-    state = {
-        "frame": {"name": "Global frame", "variables": {}}, 
-        "heap": {}, 
-        "output": full_message, 
-        "currentLine": 1
-    }
-    execution_steps.append(state)
-
-def filter_system_variables(variables_dict):
-    """Filter out system variables from a variables dictionary"""
-    filtered = {}
-    for name, value in variables_dict.items():
-        if not name.startswith('__') and name not in [
-            'custom_import', 'real_import', 'unsupported_modules',
-            'builtins', 'json', 'sys', 'to_js', 'visualizer',
-            'execution_steps', 'trace_execution', 'run_with_trace',
-            'create_error_state', 'filter_system_variables']:
-            filtered[name] = value
-    return filtered
-
-# Track generator expression current item
-def trace_execution(frame, event, arg):
-    # Skip frames that contain custom_import or other system frames
-    if (frame.f_code.co_name in ['custom_import', '__import__'] or
-        'custom_import' in frame.f_locals or
-        frame.f_globals.get('__name__', '').startswith(('re', 'collections', 'importlib'))):
-        return trace_execution
-    
-    # Capture main script execution
-    if event == 'line' and frame.f_globals.get('__name__') == '__main__':
-        # Always capture at least one frame from the main script to ensure output display
-        # but avoid duplicate frames for the same line
-        
-        # If we already have steps and this is the same line as the last step, skip
-        if (len(execution_steps) > 0 and 
-            execution_steps[-1].get("currentLine") == frame.f_lineno and
-            frame.f_code.co_name == '__main__'):
-            return trace_execution
-        
-        # Capture frame regardless of variables for output display
-        state = visualizer.capture_frame(frame)
-        execution_steps.append(state)
-    
-    return trace_execution
-`;
-
-// Code execution function
-const RUN_WITH_TRACE_CODE = `
-def run_with_trace(code):
-    try:
-        visualizer.heap = {}
-        visualizer.next_heap_id = 1
-        capturer.value = ""
-        execution_steps.clear()
-        
-        # Initialize with __name__ set to __main__
-        namespace = {'__name__': '__main__'}
-        
-        # Run the code with tracing
-        sys.settrace(trace_execution)
-        try:
-            exec(code, namespace)
-        except ImportError as e:
-            create_error_state("Error", str(e))
-        except KeyError as e:
-            create_error_state("KeyError", str(e))
-        except Exception as e:
-            create_error_state("Error", str(e))
-        sys.settrace(None)
-        
-        # Post-process: Strip out unwanted objects from all steps
-        for step_idx, step in enumerate(execution_steps):
-            # 1. Filter global frame variables
-            if step and step.get("frame") and step["frame"].get("variables"):
-                step["frame"]["variables"] = filter_system_variables(step["frame"]["variables"])
-            
-            # 2. Filter heap objects
-            if step and step.get("heap"):
-                # Identify heap objects to remove (those referenced by unwanted variables)
-                objects_to_remove = []
-                for obj_id, obj in step["heap"].items():
-                    # Remove dictionaries with __name__ and __builtins__
-                    if obj.get("type") == "dict" and obj.get("value"):
-                        keys = list(obj["value"].keys())
-                        if "__name__" in keys or "__builtins__" in keys:
-                            objects_to_remove.append(obj_id)
-                
-                # Remove the unwanted objects
-                for obj_id in objects_to_remove:
-                    if obj_id in step["heap"]:
-                        del step["heap"][obj_id]
-        
-        # Process final state if no steps were captured
-        if len(execution_steps) == 0:
-            frame = sys._getframe()
-            state = visualizer.capture_frame(frame)
-            
-            # Apply same filtering to this frame
-            if state and state.get("frame") and state["frame"].get("variables"):
-                state["frame"]["variables"] = filter_system_variables(state["frame"]["variables"])
-            
-            execution_steps.append(state)
-        
-        # Special enhancement for Counter
-        for step in execution_steps:
-            # Add annotation to Counter in heap
-            for obj_id, obj in step.get("heap", {}).items():
-                if obj.get("type") == "Counter" or (obj.get("value") and "Counter" in str(obj.get("value"))):
-                    obj["annotation"] = "imported class Counter"
-        
-        final_output = get_output()
-        for step in execution_steps:
-            step["output"] = final_output
-        
-        # Duplicate step if only one exists to make sure visualization works
-        if len(execution_steps) == 1:
-            execution_steps.append(execution_steps[0])
-        
-        return to_js(execution_steps)
-    except Exception as e:
-        print(f"Error: {str(e)}")
-        sys.settrace(None)
-        return to_js([])
-    finally:
-        sys.stdout = sys.__stdout__
-`;
-
-// Input handling code
-const INPUT_HANDLING_CODE = `
-import builtins
-from js import handlePythonInput
-
-original_input = builtins.input
-
-def custom_input(prompt=""):
-    # Print the prompt
-    if prompt:
-        print(prompt, end="")
-    
-    # Call the JavaScript input handler
-    result = handlePythonInput(prompt)
-    
-    # Echo the input
-    print(result)
-    return result
-
-builtins.input = custom_input
-`;
+    // Sets the condition of a breakpoint, adding the breakpoint if needed; an empty condition makes it unconditional
+    setBreakpointCondition: (line, condition) => set((prev) => {
+        const breakpointConditions = { ...prev.breakpointConditions };
+        delete breakpointConditions[line];
+        if (condition.trim()) breakpointConditions[line] = condition.trim();
+        return {
+            breakpoints: prev.breakpoints.includes(line) ? prev.breakpoints : [...prev.breakpoints, line].sort((a, b) => a - b),
+            breakpointConditions
+        };
+    }),
+
+    addWatchExpression: (expression) => set((prev) => ({
+        watchExpressions: prev.watchExpressions.includes(expression)
+            ? prev.watchExpressions
+            : [...prev.watchExpressions, expression]
+    })),
+    removeWatchExpression: (expression) => set((prev) => ({
+        watchExpressions: prev.watchExpressions.filter(e => e !== expression)
+    })),
+    setTracedRun: (tracedCode, tracedExpressions) => set({ tracedCode, tracedExpressions }),
+    setShortcutBindings: (shortcutBindings) => set({ shortcutBindings })
+}), {
+    // Only breakpoints, watches and shortcut bindings are saved; everything else belongs to a single run
+    name: 'stepviz-breakpoints',
+    partialize: (state) => ({
+        breakpoints: state.breakpoints,
+        breakpointConditions: state.breakpointConditions,
+        watchExpressions: state.watchExpressions,
+        shortcutBindings: state.shortcutBindings
+    })
+}));
+
+/**
+ * Gets the watches and breakpoint conditions a run is traced with
+ * @param {Object} state - Python store state
+ * @returns {Object} - {watches: [text], conditions: {line: text}}
+ */
+export const getTraceExpressions = (state) => ({
+    watches: state.watchExpressions,
+    conditions: Object.fromEntries(Object.entries(state.breakpointConditions)
+        .filter(([line]) => state.breakpoints.includes(Number(line))))
+});
 
 // =====================================================
 // Main Python service class
 // =====================================================
 class PythonService {
-    pyodide = null;
+    worker = null;
+    initPromise = null;
+    pendingRequests = new Map();
+    nextRequestId = 1;
     isCodeRunning = false;
+    cancelRequested = false;
+
+    // Shared memory for interrupting a running program and answering input()
+    interruptBuffer = null;
+    inputBuffer = null;
 
     /**
-     * Initialize Pyodide and set up the Python execution environment
+     * Initialize the Pyodide worker and set up the Python execution environment
      */
     async initialize() {
         const store = usePythonStore.getState();
         if (store.isInitialized) return;
 
+        // React may call this twice in development; share the pending load
+        if (!this.initPromise) {
+            this.initPromise = this.loadWorker(store);
+        }
+        return this.initPromise;
+    }
+
+    /**
+     * Spawn the worker and wait for Pyodide to load inside it
+     * @param {Object} store - The Python store instance
+     */
+    async loadWorker(store) {
         try {
             store.setIsRunning(true);
-            console.log('Initializing Pyodide...');
-
-            // Load Pyodide with stdout redirection
-            this.pyodide = await window.loadPyodide({
-                indexURL: "https://cdn.jsdelivr.net/pyodide/v0.27.2/full/",
-                stdout: (text) => {
-                    console.log('Python output:', text);
-                    store.setExecutionState(prev => ({
-                        ...prev,
-                        output: prev.output + text + '\n'
-                    }));
-                }
-            });
-
-            // Run the setup code in sequence
-            await this.pyodide.runPythonAsync(PYTHON_SETUP_CODE);
-            await this.pyodide.runPythonAsync(VISUALIZER_STATE_CODE);
-            await this.pyodide.runPythonAsync(OUTPUT_AND_TRACING_CODE);
-            await this.pyodide.runPythonAsync(RUN_WITH_TRACE_CODE);
+            console.log('Initializing Pyodide worker...');
 
-            // Set up the input handler
-            this.setupInputHandler();
-            await this.pyodide.runPythonAsync(INPUT_HANDLING_CODE);
+            this.spawnWorker();
+            await this.request('init', {
+                interruptBuffer: this.interruptBuffer,
+                inputBuffer: this.inputBuffer
+            });
 
             store.setIsInitialized(true);
             console.log('Pyodide initialized successfully');
         } catch (error) {
             console.error('Pyodide initialization error:', error);
             store.setError(error.message);
+            this.initPromise = null;
         } finally {
             store.setIsRunning(false);
         }
     }
 
     /**
-     * Set up the input handler for Python code execution
+     * Create the worker and the shared buffers it communicates through
      */
-    setupInputHandler() {
-        // Create a SELF-CONTAINED input handler function that captures this instance
-        const pythonService = this;
-
-        window.handlePythonInput = function (prompt) {
-            // Reference the captured service instance
-            if (!pythonService.isCodeRunning) {
-                console.warn("Input requested outside of execution context");
-                return "INPUT_DISABLED";
-            }
+    spawnWorker() {
+        this.worker = new Worker(new URL('./PythonWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+        this.worker.onerror = (event) => console.error('Python worker error:', event.message);
+
+        // SharedArrayBuffer only exists when the page is cross-origin isolated
+        if (typeof SharedArrayBuffer !== 'undefined' && window.crossOriginIsolated) {
+            this.interruptBuffer = new Int32Array(new SharedArrayBuffer(4));
+            // 8 bytes of control words (state, length) followed by the UTF-8 input text
+            this.inputBuffer = new SharedArrayBuffer(8 + 64 * 1024);
+        }
+    }
 
-            const userInput = window.prompt(prompt || "Input required:", "");
-            return userInput || "";
-        };
+    /**
+     * Terminate the worker, fail its pending requests and start a fresh one
+     * @param {string} reason - Message used to reject pending requests
+     */
+    restartWorker(reason) {
+        this.worker?.terminate();
+        this.worker = null;
+
+        this.pendingRequests.forEach(entry => {
+            clearTimeout(entry.timer);
+            entry.reject(new Error(reason));
+        });
+        this.pendingRequests.clear();
+
+        usePythonStore.getState().setIsInitialized(false);
+        this.initPromise = null;
+        this.initialize();
+    }
+
+    /**
+     * Send a request to the worker
+     * @param {string} type - Request type: 'init', 'run', 'validate' or 'cancel'
+     * @param {Object} payload - Request data
+     * @param {number|null} timeoutMs - Wall-clock limit; the worker is restarted when it expires
+     * @returns {Promise<*>} - The worker's result
+     */
+    request(type, payload = {}, timeoutMs = null) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+            const entry = { resolve, reject, timer: null, remaining: timeoutMs, startedAt: 0 };
+
+            this.pendingRequests.set(id, entry);
+            this.startRequestTimer(entry);
+            this.worker.postMessage({ id, type, payload });
+        });
+    }
+
+    /**
+     * Start (or resume) the timeout of a pending request
+     * @param {Object} entry - Pending request entry
+     */
+    startRequestTimer(entry) {
+        if (entry.remaining === null) return;
+
+        entry.startedAt = Date.now();
+        entry.timer = setTimeout(() => {
+            const seconds = usePythonStore.getState().executionTimeout;
+            this.restartWorker(`Execution stopped after ${seconds} seconds`);
+        }, entry.remaining);
+    }
+
+    /**
+     * Pause the timeout of a pending request, e.g. while waiting for user input
+     * @param {Object} entry - Pending request entry
+     */
+    pauseRequestTimer(entry) {
+        if (entry.remaining === null || !entry.timer) return;
+
+        clearTimeout(entry.timer);
+        entry.timer = null;
+        entry.remaining = Math.max(0, entry.remaining - (Date.now() - entry.startedAt));
+    }
+
+    /**
+     * Handle replies and input requests coming from the worker
+     * @param {Object} message - Message posted by the worker
+     */
+    handleWorkerMessage(message) {
+        if (message.type === 'input') {
+            this.handleInputRequest(message.prompt);
+            return;
+        }
+
+        const entry = this.pendingRequests.get(message.id);
+        if (!entry) return;
+
+        clearTimeout(entry.timer);
+        this.pendingRequests.delete(message.id);
+
+        if (message.type === 'error') {
+            entry.reject(new Error(message.error));
+        } else {
+            entry.resolve(message.result);
+        }
+    }
+
+    /**
+     * Prompt the user on behalf of a blocked input() call and hand the answer back
+     * @param {string} prompt - Prompt passed to input()
+     */
+    handleInputRequest(prompt) {
+        // Time spent typing doesn't count towards the execution timeout
+        this.pendingRequests.forEach(entry => this.pauseRequestTimer(entry));
+
+        const userInput = window.prompt(prompt || "Input required:", "") || "";
+
+        const control = new Int32Array(this.inputBuffer, 0, 2);
+        const data = new Uint8Array(this.inputBuffer, 8);
+        const encoded = new TextEncoder().encode(userInput).slice(0, data.length);
+        data.set(encoded);
+        Atomics.store(control, 1, encoded.length);
+        Atomics.store(control, 0, 1);
+        Atomics.notify(control, 0);
+
+        this.pendingRequests.forEach(entry => this.startRequestTimer(entry));
+    }
+
+    /**
+     * Stop the running program: interrupt it when possible, otherwise restart the worker
+     */
+    cancel() {
+        if (!this.isCodeRunning) return;
+        this.cancelRequested = true;
+
+        if (this.interruptBuffer) {
+            // 2 = SIGINT, raised as KeyboardInterrupt inside Python
+            Atomics.store(this.interruptBuffer, 0, 2);
+            this.request('cancel').catch(() => { });
+        } else {
+            this.restartWorker('Execution cancelled');
+        }
+    }
+
+    /**
+     * Check code for errors in the worker
+     * @param {string} code - The code to validate
+     * @returns {Promise<Object|null>} - Error data ({ line, column, message }) or null
+     */
+    async validateCode(code) {
+        const store = usePythonStore.getState();
+        if (!this.worker || !store.isInitialized) return null;
+        return this.request('validate', { code }, store.executionTimeout * 1000);
     }
 
     /**
@@ -545,7 +397,7 @@ class PythonService {
      * @param {string} code - The Python code to execute
      */
     async runCode(code) {
-        if (!this.pyodide) throw new Error('Python not initialized');
+        if (!this.worker) throw new Error('Python not initialized');
         const store = usePythonStore.getState();
 
         try {
@@ -555,17 +407,19 @@ class PythonService {
             store.setIsRunning(true);
             store.setError(null);
 
+            this.cancelRequested = false;
+
             // Reset execution state
             this.resetExecutionState(store);
 
-            // Properly escape code for Python execution
-            const escapedCode = this.escapeCodeForPython(code);
-
-            // DEBUG: Verify the flag before execution
-            console.log("isCodeRunning before execution:", this.isCodeRunning);
-
-            // Run the code and get execution steps
-            const steps = await this.pyodide.runPythonAsync(`run_with_trace('''${escapedCode}''')`);
+            // Run the code in the worker and get execution steps
+            const expressions = getTraceExpressions(store);
+            const steps = await this.request('run', {
+                code,
+                maxSteps: store.maxSteps,
+                ...expressions
+            }, store.executionTimeout * 1000);
+            store.setTracedRun(code, expressions);
 
             // Process execution steps if any were returned
             if (steps && steps.length > 0) {
@@ -573,7 +427,7 @@ class PythonService {
             }
         } catch (error) {
             console.error('Python execution error:', error);
-            store.setError(error.message);
+            store.setError(this.cancelRequested ? 'Execution cancelled' : error.message);
         } finally {
             // Reset the flag AFTER execution
             console.log("Setting code running state to false");
@@ -582,6 +436,15 @@ class PythonService {
         }
     }
 
+    /**
+     * Drop the current trace, e.g. when going back to editing without keeping it for comparison
+     */
+    clearTrace() {
+        const store = usePythonStore.getState();
+        this.resetExecutionState(store);
+        store.setTracedRun(null, null);
+    }
+
     /**
      * Reset the execution state before running new code
      * @param {Object} store - The Python store instance
@@ -597,15 +460,6 @@ class PythonService {
         store.setCurrentStepIndex(0);
     }
 
-    /**
-     * Escape code for embedding in Python string
-     * @param {string} code - The code to escape
-     * @returns {string} - Escaped code
-     */
-    escapeCodeForPython(code) {
-        return code.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n');
-    }
-
     /**
      * Process and filter execution steps from Python
      * @param {Array} steps - Raw execution steps from Python
@@ -621,7 +475,7 @@ class PythonService {
             !step.frame.variables.capturer &&
             !step.frame.variables.trace_execution &&
             !step.frame.variables.run_with_trace &&
-            step.frame.name !== 'write'  // Filter out OutputCapturer write steps
+            (step.frame.name !== 'write' || step.kind === 'truncated')  // Filter out OutputCapturer write steps
         );
 
         if (relevantSteps.length > 0) {
@@ -630,10 +484,7 @@ class PythonService {
 
             // Update the state with processed steps
             store.setExecutionSteps(relevantSteps);
-            store.setExecutionState({
-                ...relevantSteps[0],
-                output: steps[steps.length - 1]?.output || ''
-            });
+            store.setExecutionState(relevantSteps[0]);
         }
     }
 }
@@ -0,0 +1,148 @@
+// =====================================================
+// Pyodide worker - runs the interpreter and tracer off the main thread
+//
+// Messages from the main thread: { id, type, payload }
+//   init     - load Pyodide and the tracer ({ interruptBuffer, inputBuffer })
+//   run      - trace a program and reply with its execution steps ({ code, maxSteps, watches, conditions })
+//   validate - check code for syntax/runtime errors ({ code })
+//   cancel   - clear a pending interrupt once the worker is idle
+// Replies: { id, type: 'result', result } or { id, type: 'error', error }
+// Requests from the worker: { type: 'input', prompt } while input() blocks
+// =====================================================
+
+import {
+    PYODIDE_INDEX_URL,
+    PYTHON_SETUP_CODE,
+    VISUALIZER_STATE_CODE,
+    OUTPUT_AND_TRACING_CODE,
+    RUN_WITH_TRACE_CODE,
+    INPUT_HANDLING_CODE,
+    PYTHON_VALIDATION_CODE
+} from './PythonCode';
+
+let pyodide = null;
+let isCodeRunning = false;
+let interruptBuffer = null;
+let inputChannel = null;
+
+/**
+ * Escape code for embedding in Python string
+ * @param {string} code - The code to escape
+ * @returns {string} - Escaped code
+ */
+const escapeCodeForPython = (code) => {
+    return code.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n');
+};
+
+/**
+ * Block until the main thread answers an input() prompt
+ * @param {string} prompt - Prompt passed to input()
+ * @returns {string|null} - The line entered by the user; null without cross-origin isolation
+ */
+const readInput = (prompt) => {
+    // No answer possible - custom_input raises, so the run ends with a visible error
+    if (!inputChannel) return null;
+
+    Atomics.store(inputChannel.control, 0, 0);
+    self.postMessage({ type: 'input', prompt });
+    Atomics.wait(inputChannel.control, 0, 0);
+
+    // Copy out of shared memory before decoding
+    const length = Atomics.load(inputChannel.control, 1);
+    return new TextDecoder().decode(inputChannel.data.slice(0, length));
+};
+
+// Called from INPUT_HANDLING_CODE through the js module
+self.handlePythonInput = (prompt) => {
+    if (!isCodeRunning) {
+        console.warn("Input requested outside of execution context");
+        return "INPUT_DISABLED";
+    }
+    return readInput(prompt);
+};
+
+const handlers = {
+    async init({ interruptBuffer: sharedInterrupt, inputBuffer }) {
+        if (pyodide) return true;
+
+        const { loadPyodide } = await import(/* @vite-ignore */ `${PYODIDE_INDEX_URL}pyodide.mjs`);
+        pyodide = await loadPyodide({
+            indexURL: PYODIDE_INDEX_URL,
+            stdout: (text) => console.log('Python output:', text)
+        });
+
+        // Shared memory is only available when the page is cross-origin isolated
+        if (sharedInterrupt) {
+            interruptBuffer = sharedInterrupt;
+            pyodide.setInterruptBuffer(interruptBuffer);
+        }
+        if (inputBuffer) {
+            inputChannel = {
+                control: new Int32Array(inputBuffer, 0, 2),
+                data: new Uint8Array(inputBuffer, 8)
+            };
+        }
+
+        // Run the setup code in sequence
+        await pyodide.runPythonAsync(PYTHON_SETUP_CODE);
+        await pyodide.runPythonAsync(VISUALIZER_STATE_CODE);
+        await pyodide.runPythonAsync(OUTPUT_AND_TRACING_CODE);
+        await pyodide.runPythonAsync(RUN_WITH_TRACE_CODE);
+        await pyodide.runPythonAsync(INPUT_HANDLING_CODE);
+        await pyodide.runPythonAsync(PYTHON_VALIDATION_CODE);
+        return true;
+    },
+
+    async run({ code, maxSteps = 1000, watches = [], conditions = {} }) {
+        if (!pyodide) throw new Error('Python not initialized');
+
+        isCodeRunning = true;
+        if (interruptBuffer) interruptBuffer[0] = 0;
+        try {
+            const stepLimit = Math.max(1, parseInt(maxSteps, 10) || 1);
+            const expressions = escapeCodeForPython(JSON.stringify({ watches, conditions }));
+            return await pyodide.runPythonAsync(
+                `run_with_trace('''${escapeCodeForPython(code)}''', ${stepLimit}, '''${expressions}''')`
+            );
+        } finally {
+            isCodeRunning = false;
+        }
+    },
+
+    async validate({ code }) {
+        if (!pyodide) return null;
+
+        const validateSyntax = pyodide.globals.get('validate_syntax');
+        try {
+            const error = validateSyntax(code);
+            if (!error) return null;
+            const errorData = error.toJs({ dict_converter: Object.fromEntries });
+            error.destroy();
+            return errorData;
+        } finally {
+            validateSyntax.destroy();
+        }
+    },
+
+    cancel() {
+        if (interruptBuffer) interruptBuffer[0] = 0;
+        return true;
+    }
+};
+
+self.onmessage = async (event) => {
+    const { id, type, payload = {} } = event.data;
+    const handler = handlers[type];
+
+    if (!handler) {
+        self.postMessage({ id, type: 'error', error: `Unknown request: ${type}` });
+        return;
+    }
+
+    try {
+        const result = await handler(payload);
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: error.message });
+    }
+};
@@ -0,0 +1,189 @@
+// Keyboard shortcuts, configured in one table and handled wherever the action lives.
+// A component registers handlers for the actions it owns with useKeyboardShortcuts; a key
+// press runs the handler of the first binding it matches. Keys typed into Monaco or a form
+// field are left alone so shortcuts never steal text input. The user can rebind actions from
+// the help overlay; their bindings are saved in the store and replace the defaults below.
+
+import { useEffect, useMemo, useRef } from 'react';
+import { usePythonStore } from '../services/PythonService';
+
+/**
+ * Default bindings of every shortcut, grouped for the help overlay. A key is a KeyboardEvent.key,
+ * optionally prefixed with modifiers ("Ctrl+Enter"); Ctrl also matches Cmd on macOS
+ */
+export const KEYBOARD_SHORTCUTS = [
+    { action: 'previous', keys: ['ArrowLeft'], description: 'Previous step', group: 'Stepping' },
+    { action: 'next', keys: ['ArrowRight'], description: 'Next step', group: 'Stepping' },
+    { action: 'first', keys: ['Home'], description: 'First step', group: 'Stepping' },
+    { action: 'last', keys: ['End'], description: 'Last step', group: 'Stepping' },
+    { action: 'stepOver', keys: ['F10'], description: 'Step over', group: 'Stepping' },
+    { action: 'stepOut', keys: ['Shift+F11'], description: 'Step out', group: 'Stepping' },
+    { action: 'continue', keys: ['F8'], description: 'Continue to next breakpoint', group: 'Stepping' },
+    { action: 'reverseContinue', keys: ['Shift+F8'], description: 'Reverse-continue to previous breakpoint', group: 'Stepping' },
+    { action: 'togglePlay', keys: [' '], description: 'Play / pause', group: 'Playback' },
+    { action: 'run', keys: ['Ctrl+Enter'], description: 'Run code', group: 'Editor' },
+    { action: 'help', keys: ['?'], description: 'Show or hide this list', group: 'Help' }
+];
+
+// How keys are written in the help overlay
+const KEY_LABELS = {
+    ' ': 'Space',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓'
+};
+
+/**
+ * Splits a key binding into its key and modifiers
+ * @param {string} binding - Key binding, e.g. "Ctrl+Enter"
+ * @returns {Object} - {key, ctrl, shift, alt}
+ */
+const parseBinding = (binding) => {
+    // The key itself may be "+", so only the parts before the last "+" are modifiers
+    const parts = binding.length > 1 ? binding.split(/\+(?!$)/) : [binding];
+    const key = parts.pop();
+    return {
+        key,
+        ctrl: parts.includes('Ctrl'),
+        shift: parts.includes('Shift'),
+        alt: parts.includes('Alt')
+    };
+};
+
+/**
+ * Formats a key binding for display
+ * @param {string} binding - Key binding
+ * @returns {string} - Display text, e.g. "Ctrl + Enter"
+ */
+export const formatBinding = (binding) => {
+    const { key, ctrl, shift, alt } = parseBinding(binding);
+    return [ctrl && 'Ctrl', alt && 'Alt', shift && 'Shift', KEY_LABELS[key] || key].filter(Boolean).join(' + ');
+};
+
+/**
+ * Checks whether a key press matches a binding
+ * @param {KeyboardEvent} event - Key press
+ * @param {string} binding - Key binding
+ * @returns {boolean} - True when the key and modifiers match
+ */
+const matchesBinding = (event, binding) => {
+    const { key, ctrl, shift, alt } = parseBinding(binding);
+    if (event.key.toLowerCase() !== key.toLowerCase()) return false;
+    if ((event.ctrlKey || event.metaKey) !== ctrl || event.altKey !== alt) return false;
+
+    // Printable keys such as "?" already carry their Shift
+    return key.length === 1 || event.shiftKey === shift;
+};
+
+/**
+ * Gets the shortcuts in effect: the defaults, with the keys of rebound actions replaced
+ * @param {Object} bindings - Action -> keys the user bound it to
+ * @returns {Array<Object>} - Shortcuts shaped like KEYBOARD_SHORTCUTS
+ */
+export const getShortcuts = (bindings = {}) => {
+    return KEYBOARD_SHORTCUTS.map(shortcut => bindings[shortcut.action]
+        ? { ...shortcut, keys: bindings[shortcut.action] }
+        : shortcut);
+};
+
+/**
+ * Writes a key press as a key binding
+ * @param {KeyboardEvent} event - Key press
+ * @returns {string|null} - Key binding, e.g. "Ctrl+Enter"; null while only modifiers are down
+ */
+export const getEventBinding = (event) => {
+    if (['Control', 'Shift', 'Alt', 'Meta'].includes(event.key)) return null;
+
+    // Printable keys already carry their Shift, as in matchesBinding
+    const shift = event.shiftKey && event.key.length > 1;
+    return [(event.ctrlKey || event.metaKey) && 'Ctrl', event.altKey && 'Alt', shift && 'Shift', event.key]
+        .filter(Boolean)
+        .join('+');
+};
+
+/**
+ * Binds an action to a key. An action the key belonged to takes over the rebound action's
+ * previous keys, so no action is left without one
+ * @param {Object} bindings - Action -> keys the user bound it to
+ * @param {string} action - Action to rebind
+ * @param {string} binding - Key binding
+ * @returns {Object} - The new bindings
+ */
+export const rebindShortcut = (bindings, action, binding) => {
+    const shortcuts = getShortcuts(bindings);
+    const previousKeys = shortcuts.find(shortcut => shortcut.action === action).keys;
+    const next = { ...bindings, [action]: [binding] };
+
+    shortcuts.forEach(shortcut => {
+        if (shortcut.action === action || !shortcut.keys.includes(binding)) return;
+        const keys = shortcut.keys.flatMap(key => key === binding ? previousKeys : [key]);
+        next[shortcut.action] = [...new Set(keys)];
+    });
+
+    return next;
+};
+
+/**
+ * Checks whether a key press triggers an action, with the user's current bindings
+ * @param {KeyboardEvent} event - Key press
+ * @param {string} action - Action name
+ * @returns {boolean} - True when one of the action's keys matches
+ */
+export const matchesShortcut = (event, action) => {
+    const shortcut = getShortcuts(usePythonStore.getState().shortcutBindings).find(s => s.action === action);
+    return Boolean(shortcut?.keys.some(key => matchesBinding(event, key)));
+};
+
+/**
+ * Gets the first key of an action for hints, following rebinding
+ * @param {string} action - Action name
+ * @returns {string|null} - Display text of the key, or null when the action has none
+ */
+export const useShortcutLabel = (action) => {
+    const bindings = usePythonStore(state => state.shortcutBindings);
+    const key = getShortcuts(bindings).find(shortcut => shortcut.action === action)?.keys[0];
+    return key ? formatBinding(key) : null;
+};
+
+/**
+ * Checks whether a key press belongs to something the user is typing into or operating
+ * @param {KeyboardEvent} event - Key press
+ * @returns {boolean} - True inside Monaco, form fields and editable content; also for
+ * Space/Enter on a focused button, which already activate it
+ */
+const isHandledByTarget = (event) => {
+    const target = event.target;
+    if (!(target instanceof Element)) return false;
+    if (target.closest('.monaco-editor')) return true;
+    if (target.closest('input, textarea, select, [contenteditable="true"]')) return true;
+    return (event.key === ' ' || event.key === 'Enter') && target.closest('button, a[href]') !== null;
+};
+
+/**
+ * Runs handlers for keyboard shortcuts while the component is mounted, with the user's bindings
+ * @param {Object} handlers - Action -> handler, for the actions the component owns
+ */
+export const useKeyboardShortcuts = (handlers) => {
+    // The latest handlers, so the listener doesn't have to be re-added on every render
+    const handlersRef = useRef(handlers);
+    handlersRef.current = handlers;
+
+    const bindings = usePythonStore(state => state.shortcutBindings);
+    const shortcuts = useMemo(() => getShortcuts(bindings), [bindings]);
+
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if (event.defaultPrevented || isHandledByTarget(event)) return;
+
+            const shortcut = shortcuts.find(s => handlersRef.current[s.action] && s.keys.some(k => matchesBinding(event, k)));
+            if (!shortcut) return;
+
+            event.preventDefault();
+            handlersRef.current[shortcut.action]();
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [shortcuts]);
+};
@@ -0,0 +1,115 @@
+// Searches through the recorded steps for the step-navigation controls, and the breakpoint
+// editing shared by the two code views.
+// The whole run is already traced, so running "to" somewhere is a search forwards or
+// backwards from the current step rather than a re-execution. Breakpoint conditions are
+// evaluated by the tracer, which marks the steps where they hold (conditionMet).
+
+// Kinds of step a breakpoint stops at: a line about to run, or a call entering the function
+// defined on the line. Returns aren't stops, or every breakpoint on a return would be hit twice.
+const STOPPING_KINDS = new Set(['line', 'call']);
+
+/**
+ * Checks whether a step stops at one of the breakpoints
+ * @param {Object} step - Execution step
+ * @param {Set<number>} lines - Breakpoint lines
+ * @param {Object} conditions - Conditions of conditional breakpoints, by line
+ * @returns {boolean} - True when the step is about to run a breakpoint line whose condition holds
+ */
+const isBreakpointStep = (step, lines, conditions) => {
+    if (!STOPPING_KINDS.has(step?.kind) || !lines.has(step.currentLine)) return false;
+    return !conditions[step.currentLine] || step.conditionMet === true;
+};
+
+/**
+ * Finds the nearest step at a breakpoint in one direction
+ * @param {Array} steps - Execution steps of the run
+ * @param {number} fromIndex - Current step index; the search starts next to it
+ * @param {Array<number>} breakpoints - Breakpoint lines
+ * @param {number} direction - 1 to continue forwards, -1 to reverse-continue
+ * @param {Object} conditions - Conditions of conditional breakpoints, by line
+ * @returns {number} - Step index, or -1 when no breakpoint is hit in that direction
+ */
+export const findBreakpointStep = (steps, fromIndex, breakpoints, direction, conditions = {}) => {
+    const lines = new Set(breakpoints);
+    if (lines.size === 0) return -1;
+
+    for (let i = fromIndex + direction; i >= 0 && i < (steps?.length || 0); i += direction) {
+        if (isBreakpointStep(steps[i], lines, conditions)) return i;
+    }
+    return -1;
+};
+
+/**
+ * Asks for the condition of a breakpoint
+ * @param {number} line - Breakpoint line
+ * @param {string} current - Current condition, empty for none
+ * @returns {string|null} - New condition (empty to break always), or null when cancelled
+ */
+export const askBreakpointCondition = (line, current = '') => {
+    return window.prompt(`Stop at line ${line} only when this Python expression is true (leave empty to always stop):`, current);
+};
+
+/**
+ * Gets the depth of a step's innermost frame on the call stack
+ * @param {Object} step - Execution step
+ * @returns {number} - Number of frames, 1 in the global frame
+ */
+const getDepth = (step) => step?.frames?.length || 1;
+
+/**
+ * Finds the nearest step in one direction that passes a test, given the depth of the current step
+ * @param {Array} steps - Execution steps of the run
+ * @param {number} fromIndex - Current step index; the search starts next to it
+ * @param {number} direction - 1 for forwards, -1 for backwards
+ * @param {Function} test - (step, depth, currentDepth) => boolean
+ * @returns {number} - Step index, or -1 when no step passes
+ */
+const findStep = (steps, fromIndex, direction, test) => {
+    const currentDepth = getDepth(steps?.[fromIndex]);
+    for (let i = fromIndex + direction; i >= 0 && i < (steps?.length || 0); i += direction) {
+        if (test(steps[i], getDepth(steps[i]), currentDepth)) return i;
+    }
+    return -1;
+};
+
+/**
+ * Step over: the next (or previous) step in the same frame, skipping the calls the line makes.
+ * When the frame returns first, the step lands in its caller
+ * @param {Array} steps - Execution steps of the run
+ * @param {number} fromIndex - Current step index
+ * @param {number} direction - 1 for forwards, -1 for backwards
+ * @returns {number} - Step index, or -1 at either end of the run
+ */
+export const findStepOver = (steps, fromIndex, direction) => {
+    return findStep(steps, fromIndex, direction, (step, depth, currentDepth) => depth <= currentDepth);
+};
+
+/**
+ * Step into: the very next (or previous) step, which enters a function the line calls
+ * @param {Array} steps - Execution steps of the run
+ * @param {number} fromIndex - Current step index
+ * @param {number} direction - 1 for forwards, -1 for backwards
+ * @returns {number} - Step index, or -1 at either end of the run
+ */
+export const findStepInto = (steps, fromIndex, direction) => {
+    const index = fromIndex + direction;
+    return index >= 0 && index < (steps?.length || 0) ? index : -1;
+};
+
+/**
+ * Step out: forwards, the return of the current frame; backwards, the call that entered it.
+ * If the current step already is that return or call, the step lands in the caller
+ * @param {Array} steps - Execution steps of the run
+ * @param {number} fromIndex - Current step index
+ * @param {number} direction - 1 for forwards, -1 for backwards
+ * @returns {number} - Step index, or -1 when there is no frame to leave in that direction
+ */
+export const findStepOut = (steps, fromIndex, direction) => {
+    const boundary = direction > 0 ? 'return' : 'call';
+    const current = steps?.[fromIndex];
+
+    return findStep(steps, fromIndex, direction, (step, depth, currentDepth) => {
+        if (current?.kind === boundary) return depth < currentDepth;
+        return depth < currentDepth || (depth === currentDepth && step.kind === boundary);
+    });
+};
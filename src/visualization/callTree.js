@@ -0,0 +1,169 @@
+// Call tree of a run, rebuilt from its call and return steps.
+// Every call becomes a node under the call that was running when it started. Calls answered
+// from a cache are memoized: lru_cache hits reported by the tracer, and repeats of an earlier
+// call with the same arguments that return without recursing although the first one recursed.
+
+// Longest argument list or return value shown on a node before it is cut short
+const MAX_VALUE_LENGTH = 16;
+
+/**
+ * Formats an argument or a return value for a tree node
+ * @param {Object} value - Processed value
+ * @param {Object} heap - Heap snapshot the value belongs to
+ * @returns {string} - Short display text, e.g. "3" or "list(5)"
+ */
+const formatValue = (value, heap) => {
+    if (value?.type === 'reference') {
+        const obj = heap?.[value.id];
+        if (!obj) return 'object';
+        if (obj.type === 'instance') return obj.className;
+
+        const size = obj.elements?.length ?? obj.entries?.length;
+        const type = obj.objectType || obj.type;
+        return size !== undefined ? `${type}(${size})` : type;
+    }
+
+    const text = String(value?.value ?? 'None');
+    return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+};
+
+/**
+ * Marks repeated calls that returned without doing the work their first occurrence did
+ * @param {Array<Object>} nodes - Call nodes in the order they were entered
+ */
+const markMemoizedRepeats = (nodes) => {
+    const firstCalls = new Map();
+
+    nodes.forEach(node => {
+        const signature = `${node.name}(${node.signature})`;
+        const first = firstCalls.get(signature);
+
+        if (!first) {
+            firstCalls.set(signature, node);
+        } else if (first.exitStep !== null && first.exitStep < node.entryStep &&
+            first.children.length > 0 && node.children.length === 0) {
+            node.memoized = true;
+        }
+    });
+};
+
+/**
+ * Builds the call tree of a run
+ * @param {Array} steps - Execution steps of the run
+ * @returns {Object} - {roots, nodes}: top-level calls and every call in entry order. A node is
+ * {key, name, args, signature, returnValue, raised, entryStep, exitStep, children, memoized, cacheHit};
+ * raised names the exception that ended a call instead of a return
+ */
+export const buildCallTree = (steps) => {
+    const roots = [];
+    const nodes = [];
+    // Calls on the stack, outermost first; generator and comprehension frames are kept
+    // to match their returns but get no node of their own
+    const stack = [];
+
+    const attach = (node) => {
+        const parent = [...stack].reverse().find(entry => entry.node)?.node;
+        (parent ? parent.children : roots).push(node);
+        nodes.push(node);
+    };
+
+    const createNode = (fields) => ({
+        key: `call${nodes.length}`,
+        returnValue: null,
+        raised: null,
+        exitStep: null,
+        children: [],
+        memoized: false,
+        cacheHit: false,
+        ...fields
+    });
+
+    (steps || []).forEach((step, index) => {
+        const frames = step.frames || (step.frame ? [step.frame] : []);
+        const depth = frames.length - 1;
+        const frame = frames[depth];
+
+        if (step.kind === 'call' && frame) {
+            // Calls an exception unwound never reported their return
+            while (stack.length > 0 && stack[stack.length - 1].depth >= depth) stack.pop();
+
+            const isHidden = frame.name.startsWith('<');
+            const args = Object.values(frame.variables || {});
+            const node = isHidden ? null : createNode({
+                name: frame.name,
+                args: args.map(value => formatValue(value, step.heap)).join(', '),
+                // Objects are compared by identity, so a memo dict that grew is still the same argument
+                signature: JSON.stringify(args.map(value => value?.type === 'reference' ? `#${value.id}` : value?.value)),
+                entryStep: index
+            });
+            if (node) attach(node);
+            stack.push({ depth, node });
+        } else if (step.kind === 'return' && frame) {
+            while (stack.length > 0 && stack[stack.length - 1].depth > depth) stack.pop();
+
+            const entry = stack[stack.length - 1];
+            if (entry?.depth === depth) {
+                stack.pop();
+                if (entry.node) {
+                    entry.node.exitStep = index;
+                    if (frame.raised) {
+                        entry.node.raised = frame.raised.type;
+                    } else {
+                        entry.node.returnValue = formatValue(frame.returnValue, step.heap);
+                    }
+                }
+            }
+        }
+
+        // Cache hits happen between this step and the next, inside the call running after this one
+        (step.cacheHits || []).forEach(hit => {
+            attach(createNode({
+                name: hit.name,
+                args: hit.args,
+                signature: hit.args,
+                returnValue: hit.returnValue,
+                entryStep: index,
+                exitStep: index,
+                memoized: true,
+                cacheHit: true
+            }));
+        });
+    });
+
+    markMemoizedRepeats(nodes);
+    return { roots, nodes };
+};
+
+/**
+ * Checks whether a call tree has a function calling itself, directly or through other calls
+ * @param {Object} tree - Result of buildCallTree
+ * @returns {boolean} - True when some call has an ancestor with the same name
+ */
+export const hasRecursion = (tree) => {
+    const visit = (node, names) => {
+        if (names.has(node.name)) return true;
+        const path = new Set(names).add(node.name);
+        return node.children.some(child => visit(child, path));
+    };
+
+    return tree.roots.some(root => visit(root, new Set()));
+};
+
+/**
+ * Lists the calls running at a step, outermost first
+ * @param {Object} tree - Result of buildCallTree
+ * @param {number} stepIndex - Step index
+ * @returns {Array<Object>} - Call nodes on the active path
+ */
+export const getActivePath = (tree, stepIndex) => {
+    const path = [];
+    let level = tree.roots;
+
+    for (;;) {
+        const running = level.find(node => !node.cacheHit && node.entryStep <= stepIndex &&
+            (node.exitStep === null || stepIndex <= node.exitStep));
+        if (!running) return path;
+        path.push(running);
+        level = running.children;
+    }
+};
@@ -90,6 +90,36 @@ export const COLORS = {
             text: '#047857',       // Dark green for text
         },
 
+        set: {
+            background: '#FDF2F8', // Light pink for sets and frozensets
+            border: '#FBCFE8',     // Slightly darker for borders
+            text: '#9D174D',       // Dark pink for text
+        },
+
+        deque: {
+            background: '#F0FDFA', // Light teal for deques
+            border: '#99F6E4',     // Slightly darker for borders
+            text: '#0F766E',       // Dark teal for text
+        },
+
+        heap: {
+            background: '#FFF7ED', // Light orange for heapq lists
+            border: '#FED7AA',     // Slightly darker for borders
+            text: '#9A3412',       // Dark orange for text
+        },
+
+        instance: {
+            background: '#EEF2FF', // Light indigo for class instances
+            border: '#C7D2FE',     // Slightly darker for borders
+            text: '#3730A3',       // Dark indigo for text
+        },
+
+        class: {
+            background: '#F8FAFC', // Light slate for class objects
+            border: '#CBD5E1',     // Slightly darker for borders
+            text: '#334155',       // Dark slate for text
+        },
+
         function: {
             background: '#F5F3FF', // Light purple for functions
             border: '#DDD6FE',     // Slightly darker for borders
@@ -173,9 +203,27 @@ export const getStatusColor = (status) => {
     }
 };
 
+/**
+ * Returns the colors marking what changed since the previous step
+ * @param {string} change - Change type (added, modified, removed)
+ * @returns {object} - Color object with bg, border, text, and hover colors
+ */
+export const getChangeColor = (change) => {
+    switch (change) {
+        case 'added':
+            return getStatusColor('success');
+        case 'modified':
+            return getStatusColor('warning');
+        case 'removed':
+            return getStatusColor('error');
+        default:
+            return getStatusColor(null);
+    }
+};
+
 /**
  * Get appropriate colors for different object types
- * @param {string} type - Object type (list, dict, function, primitive)
+ * @param {string} type - Object type (list, dict, set, deque, heap, instance, class, function, primitive)
  * @returns {object} - Color object with background, border, and text colors
  */
 export const getObjectTypeColor = (type) => {
@@ -184,6 +232,16 @@ export const getObjectTypeColor = (type) => {
             return COLORS.objects.list;
         case 'dict':
             return COLORS.objects.dict;
+        case 'set':
+            return COLORS.objects.set;
+        case 'deque':
+            return COLORS.objects.deque;
+        case 'heap':
+            return COLORS.objects.heap;
+        case 'instance':
+            return COLORS.objects.instance;
+        case 'class':
+            return COLORS.objects.class;
         case 'function':
             return COLORS.objects.function;
         case 'primitive':
@@ -23,8 +23,16 @@ export const LAYOUT = {
     object: {
         // Starting position for heap objects
         startX: 380,           // X position of first column
+        startY: 40,            // Y position of the top of the objects area
         verticalGap: 90,       // Vertical gap between objects in same column
         horizontalOffset: 250, // Horizontal distance between reference object columns
+        labelSpace: 24,        // Room above each object for its type label
+
+        // ELK layered layout of the reference graph
+        elk: {
+            nodeSpacing: 30,   // Space between objects in the same layer
+            layerSpacing: 70   // Space between layers (columns) of objects
+        },
 
         // Cell dimensions for collections
         cell: {
@@ -52,6 +60,13 @@ export const LAYOUT = {
     referenceIndicator: {
         verticalOffset: 10, // Distance below the frame
         width: 300          // Width of the reference indicator box
+    },
+
+    // Linked list and tree layouts for node-shaped objects
+    structure: {
+        listGap: 50,        // Horizontal space between linked list nodes
+        treeGapX: 30,       // Horizontal space between sibling tree nodes
+        treeGapY: 60        // Vertical space between tree levels
     }
 };
 
@@ -185,6 +200,45 @@ export const OBJECT_TYPES = {
         minWidth: 370,   // Minimum width for dictionary display
         entryHeight: 28, // Height of each key-value pair
         padding: 14      // Padding inside dictionary
+    },
+    set: {
+        itemWidth: 70,   // Width of each element pill
+        itemHeight: 26,  // Height of each element pill
+        itemsPerRow: 4,  // Elements per row before wrapping
+        gap: 8,          // Space between element pills
+        padding: 12      // Padding inside the set outline
+    },
+    deque: {
+        markerOffset: 14 // Distance of head/tail markers below the cells
+    },
+    bars: {
+        width: 36,       // Width of each bar
+        gap: 6,          // Space between bars
+        maxHeight: 120,  // Height of the tallest bar
+        minHeight: 2,    // Bars for zero stay visible
+        labelRow: 16     // Height of the value and index rows under the bars
+    },
+    pointer: {
+        row: 16          // Height of an index pointer's caret, and of its variable names under it
+    },
+    grid: {
+        minCellWidth: 40, // Narrowest grid column
+        cellHeight: 30,   // Height of each grid row
+        charWidth: 8,     // Approximate width of a character, to fit the widest value
+        headerSize: 22    // Width of the row index column and height of the column index row
+    },
+    graph: {
+        nodeRadius: 18,   // Radius of a node circle
+        linkDistance: 80, // Preferred edge length of the force layout
+        charge: -300,     // Repulsion between nodes
+        padding: 8,       // Space between the outermost nodes and the outline
+        ticks: 300,       // Simulation steps run before the layout is drawn
+        legendRow: 20     // Height of the legend under the graph
+    },
+    instance: {
+        rowHeight: 28,   // Height of each attribute or method row
+        padding: 12,     // Padding inside attribute cells
+        minColumnWidth: 60 // Minimum width of the name and value columns
     }
 };
 
@@ -198,6 +252,20 @@ export const DEFAULTS = {
     },
     frameDefaultHeight: 70,        // Minimum frame height
     minHeapObjectDistance: 60,     // Minimum space between heap objects
+    zoom: {
+        minScale: 0.2,             // Furthest zoom out
+        maxScale: 3,               // Closest zoom in
+        fitPadding: 40             // Margin kept around the drawing by "fit to screen"
+    },
+    transition: {
+        duration: 400,             // Frames, objects and arrows moving between steps (ms)
+        flash: 600                 // How long a changed value stays highlighted (ms)
+    },
+    minimap: {
+        width: 180,                // Minimap size in screen pixels
+        height: 120,
+        padding: 20                // Margin around the drawing inside the minimap
+    },
     borderRadius: {
         sm: 4,
         md: 6,
@@ -0,0 +1,224 @@
+// Shape detection and force-directed layout for graphs.
+// A dict mapping nodes to lists (or sets, or dicts of weights) of neighbouring nodes is an
+// adjacency list; a square grid of numbers is an adjacency matrix. Traversal state is read
+// from the frame collections the usual algorithms keep: visited, queue/stack and dist.
+
+import * as d3 from 'd3';
+import { OBJECT_TYPES } from './config';
+
+// Variable names recognised as traversal collections
+const ROLE_NAMES = {
+    visited: /^(visited|seen|explored|done|closed)$/i,
+    frontier: /^(queue|q|stack|frontier|pq|heap|open|to_visit|todo)$/i,
+    dist: /^(dist|dists|distance|distances|cost|costs)$/i
+};
+
+/**
+ * Gets the node name of a primitive value
+ * @param {Object} value - Processed value
+ * @returns {string|null} - Node name, or null for references
+ */
+const getNodeName = (value) => value?.type === 'primitive' ? String(value.value) : null;
+
+/**
+ * Lists the neighbours of a node from the object its adjacency entry refers to
+ * @param {Object} obj - List, set, deque or dict of neighbours
+ * @param {Object} heap - Heap snapshot of the current step
+ * @returns {Array<Object>|null} - {target, weight} per neighbour, or null when obj isn't a neighbour collection
+ */
+const getNeighbours = (obj, heap) => {
+    // Weighted adjacency as a dict: {neighbour: weight}
+    if (obj?.type === 'dict') {
+        const neighbours = (obj.entries || []).map(entry => ({
+            target: getNodeName(entry.key),
+            weight: getNodeName(entry.value)
+        }));
+        return neighbours.every(n => n.target !== null) ? neighbours : null;
+    }
+
+    if (!['list', 'set', 'deque'].includes(obj?.type)) return null;
+
+    const neighbours = (obj.elements || []).map(element => {
+        // Weighted adjacency as pairs: [(neighbour, weight)]
+        const pair = element?.type === 'reference' ? heap[element.id] : null;
+        if (pair?.objectType === 'tuple' && pair.elements.length === 2) {
+            return { target: getNodeName(pair.elements[0]), weight: getNodeName(pair.elements[1]) };
+        }
+        return { target: getNodeName(element), weight: null };
+    });
+    return neighbours.every(n => n.target !== null) ? neighbours : null;
+};
+
+/**
+ * Marks a graph as undirected when every edge has its reverse
+ * @param {Array<string>} nodes - Node names
+ * @param {Array<Object>} edges - Directed edges {source, target, weight}
+ * @returns {Object} - {nodes, edges, directed}; undirected graphs keep one edge per pair
+ */
+const buildGraph = (nodes, edges) => {
+    const keys = new Set(edges.map(edge => JSON.stringify([edge.source, edge.target])));
+    const directed = edges.some(edge => !keys.has(JSON.stringify([edge.target, edge.source])));
+
+    return {
+        nodes,
+        edges: directed ? edges : edges.filter(edge => edge.source <= edge.target),
+        directed
+    };
+};
+
+/**
+ * Checks whether a dict is an adjacency list
+ * @param {Object} heap - Heap snapshot of the current step
+ * @param {string} id - Heap id of the dict
+ * @returns {Object|null} - {nodes, edges, directed}, or null when the dict isn't a graph
+ */
+export const detectGraph = (heap, id) => {
+    const obj = heap[id];
+    if (obj?.type !== 'dict' || !obj.entries?.length) return null;
+
+    const nodes = obj.entries.map(entry => getNodeName(entry.key));
+    if (nodes.some(node => node === null)) return null;
+
+    const edges = [];
+    for (const entry of obj.entries) {
+        const neighbours = entry.value?.type === 'reference' ? getNeighbours(heap[entry.value.id], heap) : null;
+        if (!neighbours) return null;
+        neighbours.forEach(({ target, weight }) => edges.push({ source: getNodeName(entry.key), target, weight }));
+    }
+
+    // Neighbours must name nodes, otherwise it's just a dict of lists (e.g. grouped words)
+    const keys = new Set(nodes);
+    if (!edges.some(edge => keys.has(edge.target))) return null;
+
+    // Nodes with no outgoing edges may only appear as neighbours
+    edges.forEach(edge => {
+        if (!keys.has(edge.target)) {
+            keys.add(edge.target);
+            nodes.push(edge.target);
+        }
+    });
+
+    return buildGraph(nodes, edges);
+};
+
+/**
+ * Reads a square grid of numbers as an adjacency matrix; zero and inf mean "no edge"
+ * @param {Object} heap - Heap snapshot of the current step
+ * @param {Object} grid - Result of detectGrid
+ * @returns {Object|null} - {nodes, edges, directed}, or null when the grid isn't a square matrix of numbers
+ */
+export const detectMatrixGraph = (heap, grid) => {
+    const size = grid.rowIds.length;
+    if (size < 2 || grid.columns !== size) return null;
+
+    const rows = grid.rowIds.map(rowId => heap[rowId].elements.map(element => String(element.value)));
+    const isNumber = (text) => text === 'inf' || (text.trim() !== '' && Number.isFinite(Number(text)));
+    if (!rows.every(row => row.every(isNumber))) return null;
+
+    const nodes = rows.map((row, i) => String(i));
+    const edges = [];
+    rows.forEach((row, i) => row.forEach((text, j) => {
+        if (i !== j && text !== 'inf' && Number(text) !== 0) {
+            // A 0/1 matrix has no weights worth printing
+            edges.push({ source: String(i), target: String(j), weight: Number(text) === 1 ? null : text });
+        }
+    }));
+
+    return buildGraph(nodes, edges);
+};
+
+/**
+ * Gets a key that changes whenever the shape of a graph does
+ * @param {Object} graph - Result of detectGraph or detectMatrixGraph
+ * @returns {string} - Signature of the nodes and edges
+ */
+export const getGraphSignature = (graph) => {
+    return JSON.stringify([graph.nodes, graph.edges.map(edge => [edge.source, edge.target])]);
+};
+
+/**
+ * Lays a graph out with d3-force. The simulation runs to rest up front, so the layout is static
+ * @param {Object} graph - Result of detectGraph or detectMatrixGraph
+ * @param {Map<string, Object>} previous - Node positions of an earlier layout of the graph, used as starting points
+ * @returns {Object} - {positions: node -> centre, width, height}
+ */
+export const layoutGraph = (graph, previous = new Map()) => {
+    const { nodeRadius, linkDistance, charge, padding, ticks } = OBJECT_TYPES.graph;
+    const simulationNodes = graph.nodes.map(name => ({ name, ...previous.get(name) }));
+    const links = graph.edges
+        .filter(edge => edge.source !== edge.target)
+        .map(edge => ({ source: edge.source, target: edge.target }));
+
+    d3.forceSimulation(simulationNodes)
+        .force('link', d3.forceLink(links).id(node => node.name).distance(linkDistance))
+        .force('charge', d3.forceManyBody().strength(charge))
+        .force('collide', d3.forceCollide(nodeRadius * 1.5))
+        .force('center', d3.forceCenter(0, 0))
+        .stop()
+        .tick(ticks);
+
+    // Shift the drawing so its top-left node sits one padding in from the box
+    const margin = nodeRadius + padding;
+    const minX = d3.min(simulationNodes, node => node.x);
+    const minY = d3.min(simulationNodes, node => node.y);
+    const positions = new Map(simulationNodes.map(node => [
+        node.name,
+        { x: node.x - minX + margin, y: node.y - minY + margin }
+    ]));
+
+    return {
+        positions,
+        width: d3.max(simulationNodes, node => node.x) - minX + 2 * margin,
+        height: d3.max(simulationNodes, node => node.y) - minY + 2 * margin
+    };
+};
+
+/**
+ * Reads the traversal state of a graph from the frames, innermost frame first
+ * @param {Array} frames - Frames of the step, global frame first
+ * @param {Object} heap - Heap snapshot of the step
+ * @param {Object} graph - Graph whose nodes are looked up
+ * @returns {Object} - {visited: Set, frontier: Set, dist: Map node -> text}
+ */
+export const getTraversalState = (frames, heap, graph) => {
+    const nodes = new Set(graph.nodes);
+    const state = { visited: new Set(), frontier: new Set(), dist: new Map() };
+    const found = new Set();
+
+    // A node in a collection may be wrapped, e.g. (distance, node) in a priority queue
+    const toNode = (value) => {
+        if (value?.type === 'primitive') return nodes.has(String(value.value)) ? String(value.value) : null;
+        const tuple = value?.type === 'reference' ? heap[value.id] : null;
+        if (tuple?.objectType !== 'tuple') return null;
+        const inside = tuple.elements.map(toNode).filter(Boolean);
+        return inside.length > 0 ? inside[inside.length - 1] : null;
+    };
+
+    [...frames].reverse().forEach(frame => {
+        Object.entries(frame.variables || {}).forEach(([name, value]) => {
+            const obj = value?.type === 'reference' ? heap[value.id] : null;
+            if (!obj) return;
+
+            Object.entries(ROLE_NAMES).forEach(([role, pattern]) => {
+                // The innermost frame's collection wins
+                if (!pattern.test(name) || found.has(role)) return;
+                found.add(role);
+
+                if (role === 'dist') {
+                    (obj.entries || []).forEach(entry => {
+                        const node = toNode(entry.key);
+                        if (node !== null) state.dist.set(node, String(entry.value?.value ?? ''));
+                    });
+                } else {
+                    const members = obj.entries ? obj.entries.map(entry => entry.key) : (obj.elements || []);
+                    members.forEach(member => {
+                        const node = toNode(member);
+                        if (node !== null) state[role].add(node);
+                    });
+                }
+            });
+        });
+    });
+
+    return state;
+};
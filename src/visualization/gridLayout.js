@@ -0,0 +1,51 @@
+// Shape detection and cell geometry for grids.
+// A list whose items are distinct lists of primitives, all of the same length, is a grid
+// (a matrix, a DP table, a game board) and is drawn as one table instead of a list of rows.
+
+import { OBJECT_TYPES } from './config';
+
+/**
+ * Checks whether a list is a rectangular list of lists of primitives
+ * @param {Object} heap - Heap snapshot of the current step
+ * @param {string} id - Heap id of the outer list
+ * @returns {Object|null} - {rowIds, columns}, or null when the list isn't a grid
+ */
+export const detectGrid = (heap, id) => {
+    const obj = heap[id];
+    // Heaps keep their heap ordering view
+    if (obj?.type !== 'list' || obj.objectType === 'heap' || !obj.elements?.length) return null;
+
+    const rowIds = obj.elements.map(element => element?.type === 'reference' ? element.id : null);
+    const rows = rowIds.map(rowId => heap[rowId]);
+    if (rows.some(row => row?.type !== 'list')) return null;
+
+    // The same row repeated ([[0] * n] * m) is an aliasing bug worth seeing as arrows, not a grid
+    if (new Set(rowIds).size !== rowIds.length) return null;
+
+    const columns = rows[0].elements.length;
+    const isRectangular = columns > 0 && rows.every(row =>
+        row.elements.length === columns && row.elements.every(element => element.type === 'primitive'));
+
+    return isRectangular ? { rowIds, columns } : null;
+};
+
+/**
+ * Measures the cells of a grid
+ * @param {Object} grid - Result of detectGrid
+ * @param {Object} heap - Heap snapshot of the current step
+ * @returns {Object} - {cellWidth, cellHeight, header, width, height}
+ */
+export const getGridSize = (grid, heap) => {
+    const { minCellWidth, cellHeight, charWidth, headerSize } = OBJECT_TYPES.grid;
+    const longest = Math.max(...grid.rowIds.flatMap(rowId =>
+        heap[rowId].elements.map(element => String(element.value ?? 'None').length)));
+    const cellWidth = Math.max(minCellWidth, longest * charWidth + 12);
+
+    return {
+        cellWidth,
+        cellHeight,
+        header: headerSize,
+        width: headerSize + grid.columns * cellWidth,
+        height: headerSize + grid.rowIds.length * cellHeight
+    };
+};
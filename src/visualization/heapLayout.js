@@ -0,0 +1,187 @@
+// Graph-aware placement of heap objects.
+// The frame→heap and heap→heap references of a step form a graph that ELK lays out in
+// layers from left to right, so boxes don't overlap and arrows don't cross the frames.
+
+import ELK from 'elkjs/lib/elk.bundled.js';
+import { LAYOUT } from './config';
+import { findStructures, layoutStructure } from './structureLayout';
+
+const elk = new ELK();
+
+// Nested objects deeper than this aren't drawn (matches the renderer's recursion limit)
+export const MAX_NESTING_LEVEL = 3;
+
+/**
+ * Lists the heap ids an object refers to, in drawing order
+ * @param {Object} obj - Heap object
+ * @returns {Array<string>} - Referenced heap ids
+ */
+export const getReferencedIds = (obj) => {
+    let values = [];
+
+    if (obj.elements) {
+        values = obj.elements;
+    } else if (obj.entries) {
+        values = obj.entries.flatMap(entry => [entry.key, entry.value]);
+    } else if (obj.attributes) {
+        values = obj.attributes.map(attr => attr.value);
+    }
+
+    return values.filter(value => value?.type === 'reference').map(value => value.id);
+};
+
+/**
+ * Builds the ELK graph for a step: one node per drawn heap object (linked lists and
+ * trees become a single node holding their own layout) plus one source node per frame
+ * @param {Array} frames - Frames of the step, global frame first
+ * @param {Object} heap - Heap snapshot of the step
+ * @param {Function} measure - Returns {width, height, inlineChildren} of the box drawn for a heap object, given the object and its id
+ * @returns {Object} - {nodes, edges, owner} where owner maps heap ids to ELK node ids
+ */
+const buildReferenceGraph = (frames, heap, measure) => {
+    const nodes = new Map();
+    const owner = new Map();
+    const edges = [];
+
+    const addEdge = (source, target) => {
+        if (source !== target) edges.push({ source, target });
+    };
+
+    const addNode = (nodeId, size, members) => {
+        nodes.set(nodeId, {
+            id: nodeId,
+            width: size.width,
+            height: size.height + LAYOUT.object.labelSpace,
+            members
+        });
+        members.forEach((offset, heapId) => owner.set(heapId, nodeId));
+    };
+
+    // Mirrors the renderer: a referenced object is drawn once, nested up to MAX_NESTING_LEVEL
+    const visit = (heapId, level) => {
+        const obj = heap[heapId];
+        addNode(heapId, measure(obj, heapId), new Map([[heapId, { x: 0, y: 0 }]]));
+        visitChildren(heapId, obj, level);
+    };
+
+    const visitChildren = (heapId, obj, level) => {
+        // Objects like grids draw what they refer to inside themselves
+        if (level >= MAX_NESTING_LEVEL || measure(obj, heapId).inlineChildren) return;
+
+        getReferencedIds(obj).forEach(childId => {
+            const child = heap[childId];
+            // Functions are only drawn when a variable refers to them directly
+            if (!child || child.type === 'function') return;
+            if (!owner.has(childId)) visit(childId, level + 1);
+            addEdge(owner.get(heapId), owner.get(childId));
+        });
+    };
+
+    // Linked lists and trees keep their own shape and move as one block
+    const visitStructure = (rootId, structure) => {
+        const local = layoutStructure(structure, { x: 0, y: 0 }, id => measure(heap[id], id), heap);
+        const width = Math.max(...Array.from(local.entries()).map(([id, pos]) => pos.x + measure(heap[id], id).width));
+        const height = Math.max(...Array.from(local.entries()).map(([id, pos]) => pos.y + measure(heap[id], id).height));
+        const nodeId = `structure:${rootId}`;
+
+        addNode(nodeId, { width, height }, local);
+        local.forEach((pos, id) => visitChildren(id, heap[id], 1));
+    };
+
+    const getFrameValues = (frame) => {
+        const values = Object.values(frame.variables || {});
+        return frame.returnValue ? [...values, frame.returnValue] : values;
+    };
+
+    // Detected up front, so a structure is laid out from its head even if a variable pointing into it comes first
+    const structures = findStructures(heap, frames.flatMap(frame =>
+        getFrameValues(frame).filter(value => value?.type === 'reference').map(value => value.id)));
+
+    frames.forEach((frame, frameIndex) => {
+        const frameNodeId = `frame:${frameIndex}`;
+        nodes.set(frameNodeId, { id: frameNodeId, width: 10, height: 10, frameIndex });
+
+        getFrameValues(frame).forEach(value => {
+            if (value?.type !== 'reference' || !heap[value.id]) return;
+
+            if (!owner.has(value.id)) {
+                const structure = structures.get(value.id);
+                if (structure) {
+                    visitStructure(structure.rootId, structure);
+                } else {
+                    visit(value.id, 0);
+                }
+            }
+            addEdge(frameNodeId, owner.get(value.id));
+        });
+    });
+
+    return { nodes, edges, owner };
+};
+
+/**
+ * Lays out the heap objects of a step with ELK's layered algorithm
+ * @param {Array} frames - Frames of the step, global frame first
+ * @param {Object} heap - Heap snapshot of the step
+ * @param {Function} measure - Returns {width, height, inlineChildren} of the box drawn for a heap object, given the object and its id
+ * @param {Map<string, Object>} previous - Positions from the previously shown step, used as hints
+ * @returns {Promise<Object>} - {positions}: heap id -> top-left of its box
+ */
+export const computeHeapLayout = async (frames, heap, measure, previous = new Map()) => {
+    const { nodes, edges } = buildReferenceGraph(frames, heap, measure);
+    const heapNodes = Array.from(nodes.values()).filter(node => node.members);
+    if (heapNodes.length === 0) return { positions: new Map() };
+
+    // Objects seen in the previous step start where they were, so ELK keeps their order
+    const hintFor = (node) => {
+        for (const [heapId, offset] of node.members) {
+            const pos = previous.get(heapId);
+            if (pos) return { x: pos.x - offset.x, y: pos.y - offset.y - LAYOUT.object.labelSpace };
+        }
+        return {};
+    };
+
+    const graph = {
+        id: 'root',
+        layoutOptions: {
+            'elk.algorithm': 'layered',
+            'elk.direction': 'RIGHT',
+            // Keep every frame in one shared first layer, even when their objects are unrelated
+            'elk.separateConnectedComponents': 'false',
+            'elk.spacing.nodeNode': String(LAYOUT.object.elk.nodeSpacing),
+            'elk.layered.spacing.nodeNodeBetweenLayers': String(LAYOUT.object.elk.layerSpacing),
+            'elk.layered.considerModelOrder.strategy': 'NODES_AND_EDGES',
+            'elk.layered.crossingMinimization.semiInteractive': 'true'
+        },
+        children: Array.from(nodes.values()).map(node => node.members
+            ? { id: node.id, width: node.width, height: node.height, ...hintFor(node) }
+            : {
+                id: node.id,
+                width: node.width,
+                height: node.height,
+                y: node.frameIndex * LAYOUT.object.verticalGap,
+                // Frames are the sources of the graph and always form the first layer
+                layoutOptions: { 'elk.layered.layering.layerConstraint': 'FIRST' }
+            }),
+        edges: edges.map((edge, i) => ({ id: `e${i}`, sources: [edge.source], targets: [edge.target] }))
+    };
+
+    const result = await elk.layout(graph);
+    const placed = new Map(result.children.map(child => [child.id, child]));
+
+    // Heap objects start in the objects column regardless of where ELK put the frame layer
+    const minX = Math.min(...heapNodes.map(node => placed.get(node.id).x));
+    const positions = new Map();
+
+    heapNodes.forEach(node => {
+        const { x, y } = placed.get(node.id);
+        const left = LAYOUT.object.startX + x - minX;
+        const top = LAYOUT.object.startY + y + LAYOUT.object.labelSpace;
+
+        node.members.forEach((offset, heapId) => {
+            positions.set(heapId, { x: left + offset.x, y: top + offset.y });
+        });
+    });
+
+    return { positions };
+};
@@ -0,0 +1,218 @@
+// Structural diff between two consecutive execution steps.
+// Frames are matched by their position on the stack and their name, heap objects by id
+// (ids are stable for the whole run), and the cells inside an object by index, key or
+// attribute name. Each variable or cell is 'added', 'modified' or 'removed'.
+
+// Longest primitive shown in the summary before it is cut short
+const MAX_SUMMARY_VALUE_LENGTH = 24;
+
+/**
+ * Gets the key a frame is matched on between steps
+ * @param {Object} frame - Frame of a step
+ * @param {number} index - Position of the frame on the stack, global frame first
+ * @returns {string} - Frame key
+ */
+export const getFrameKey = (frame, index) => `${index}:${frame.name}`;
+
+/**
+ * Gets a key identifying a processed value: the heap id of a reference, or the primitive itself
+ * @param {Object} value - Processed value ({type, value} or {type, id})
+ * @returns {string} - Value key; equal keys mean equal values
+ */
+export const getValueKey = (value) => {
+    return value?.type === 'reference' ? value.id : JSON.stringify(value?.value ?? null);
+};
+
+/**
+ * Formats a value for the change summary
+ * @param {Object} value - Processed value
+ * @param {Object} heap - Heap snapshot the value belongs to
+ * @param {Map<string, string>} paths - Names of the step's objects, from getObjectPaths
+ * @param {string} self - Name of the slot holding the value, never used as the value's own name
+ * @returns {string} - Short display text
+ */
+const formatValue = (value, heap, paths = new Map(), self = null) => {
+    if (value?.type === 'reference') {
+        const obj = heap[value.id];
+        if (!obj) return 'object';
+
+        // An object that is also reachable under another name is shown by that name (aliasing)
+        const path = paths.get(value.id);
+        if (path && path !== self) return path;
+
+        if (obj.type === 'instance') return `${obj.className} instance`;
+        if (obj.type === 'function' || obj.type === 'class') return `${obj.type} ${obj.name}`;
+        return obj.objectType || obj.type;
+    }
+
+    // The tracer sends every primitive as its str(), so it is shown as is
+    const text = String(value?.value ?? 'None');
+
+    return text.length > MAX_SUMMARY_VALUE_LENGTH ? `${text.slice(0, MAX_SUMMARY_VALUE_LENGTH - 1)}…` : text;
+};
+
+/**
+ * Lists the cells of a heap object that are compared between steps
+ * @param {Object} obj - Heap object
+ * @param {Object} heap - Heap snapshot the object belongs to
+ * @returns {Map<string, Object>|null} - Slot -> {label, value}, or null for objects without cells
+ */
+const getCells = (obj, heap) => {
+    switch (obj.type) {
+        case 'list':
+        case 'deque':
+            return new Map((obj.elements || []).map((element, i) => [String(i), { label: `[${i}]`, value: element }]));
+        case 'set':
+            // Set items have no position; an item is its own slot
+            return new Map((obj.elements || []).map(element => [
+                getValueKey(element),
+                { label: ` ∋ ${formatValue(element, heap)}`, value: element }
+            ]));
+        case 'dict':
+        case 'Counter':
+            return new Map((obj.entries || []).map(entry => [
+                getValueKey(entry.key),
+                { label: `[${formatValue(entry.key, heap)}]`, value: entry.value }
+            ]));
+        case 'instance':
+            return new Map((obj.attributes || []).map(attr => [attr.name, { label: `.${attr.name}`, value: attr.value }]));
+        default:
+            return null;
+    }
+};
+
+/**
+ * Names heap objects by the shortest path that reaches them from a variable (e.g. "grid[1]")
+ * @param {Array} frames - Frames of the step
+ * @param {Object} heap - Heap snapshot of the step
+ * @returns {Map<string, string>} - Heap id -> path
+ */
+const getObjectPaths = (frames, heap) => {
+    const paths = new Map();
+    const queue = [];
+
+    frames.forEach(frame => {
+        Object.entries(frame.variables || {}).forEach(([name, value]) => {
+            if (value?.type === 'reference' && heap[value.id] && !paths.has(value.id)) {
+                paths.set(value.id, name);
+                queue.push(value.id);
+            }
+        });
+    });
+
+    while (queue.length > 0) {
+        const id = queue.shift();
+        getCells(heap[id], heap)?.forEach(({ label, value }) => {
+            if (value?.type === 'reference' && heap[value.id] && !paths.has(value.id)) {
+                paths.set(value.id, `${paths.get(id)}${label}`);
+                queue.push(value.id);
+            }
+        });
+    }
+
+    return paths;
+};
+
+/**
+ * Compares two keyed collections of values
+ * @param {Map<string, Object>} before - Slot -> {value} in the previous step
+ * @param {Map<string, Object>} after - Slot -> {value} in the current step
+ * @returns {Array<Object>} - {slot, change, before, after} for every slot that differs
+ */
+const diffSlots = (before, after) => {
+    const changes = [];
+
+    after.forEach((entry, slot) => {
+        if (!before.has(slot)) {
+            changes.push({ slot, change: 'added', after: entry });
+        } else if (getValueKey(before.get(slot).value) !== getValueKey(entry.value)) {
+            changes.push({ slot, change: 'modified', before: before.get(slot), after: entry });
+        }
+    });
+    before.forEach((entry, slot) => {
+        if (!after.has(slot)) changes.push({ slot, change: 'removed', before: entry });
+    });
+
+    return changes;
+};
+
+/**
+ * Gets the frames of a step, whichever shape the step has
+ * @param {Object} step - Execution step
+ * @returns {Array} - Frames, global frame first
+ */
+const getFrames = (step) => step?.frames || (step?.frame ? [step.frame] : []);
+
+/**
+ * Computes what changed between two consecutive steps
+ * @param {Object} previous - Previous execution step
+ * @param {Object} current - Current execution step
+ * @returns {Object} - {variables: {frameKey: {name: change}}, cells: {heapId: {slot: change}}, summary: [{change, text}]}
+ */
+export const computeStepDiff = (previous, current) => {
+    const diff = { variables: {}, cells: {}, summary: [] };
+    if (!previous || !current) return diff;
+
+    const previousHeap = previous.heap || {};
+    const currentHeap = current.heap || {};
+    const previousPaths = getObjectPaths(getFrames(previous), previousHeap);
+    const currentPaths = getObjectPaths(getFrames(current), currentHeap);
+    const previousFrames = new Map(getFrames(previous).map((frame, i) => [getFrameKey(frame, i), frame]));
+    const currentFrames = new Map(getFrames(current).map((frame, i) => [getFrameKey(frame, i), frame]));
+
+    // Calls and returns are reported once instead of as every local appearing or disappearing
+    currentFrames.forEach((frame, key) => {
+        if (!previousFrames.has(key)) {
+            diff.summary.push({ change: 'added', text: `${frame.name}() called` });
+        }
+    });
+    previousFrames.forEach((frame, key) => {
+        if (!currentFrames.has(key)) {
+            diff.summary.push({ change: 'removed', text: `${frame.name}() returned` });
+        }
+    });
+
+    currentFrames.forEach((frame, key) => {
+        const before = previousFrames.get(key);
+        if (!before) return;
+
+        const toSlots = (variables) => new Map(Object.entries(variables || {}).map(([name, value]) => [name, { value }]));
+        diffSlots(toSlots(before.variables), toSlots(frame.variables)).forEach(({ slot, change, before: old, after }) => {
+            diff.variables[key] = { ...diff.variables[key], [slot]: change };
+
+            const text = change === 'added'
+                ? `${slot} = ${formatValue(after.value, currentHeap, currentPaths, slot)}`
+                : change === 'modified'
+                    ? `${slot}: ${formatValue(old.value, previousHeap, previousPaths, slot)} → ${formatValue(after.value, currentHeap, currentPaths, slot)}`
+                    : slot;
+            diff.summary.push({ change, text });
+        });
+    });
+
+    // Only objects that exist in both steps have cells to compare; new objects are new as a whole
+    Object.entries(currentHeap).forEach(([id, obj]) => {
+        const before = previousHeap[id];
+        if (!before || before.type !== obj.type) return;
+
+        const beforeCells = getCells(before, previousHeap);
+        const afterCells = getCells(obj, currentHeap);
+        if (!beforeCells || !afterCells) return;
+
+        const owner = currentPaths.get(id) || obj.objectType || obj.type;
+        diffSlots(beforeCells, afterCells).forEach(({ slot, change, before: old, after }) => {
+            diff.cells[id] = { ...diff.cells[id], [slot]: change };
+
+            const name = `${owner}${(after || old).label}`;
+            const text = obj.type === 'set'
+                ? name
+                : change === 'added'
+                    ? `${name} = ${formatValue(after.value, currentHeap, currentPaths, name)}`
+                    : change === 'modified'
+                        ? `${name}: ${formatValue(old.value, previousHeap, previousPaths, name)} → ${formatValue(after.value, currentHeap, currentPaths, name)}`
+                        : name;
+            diff.summary.push({ change, text });
+        });
+    });
+
+    return diff;
+};
@@ -0,0 +1,210 @@
+// Shape detection and layout for node-shaped heap objects (linked lists and trees).
+// A node class is recognised by its pointer fields: attributes that reference another
+// instance of the same class. One pointer field makes a linked list, two or more a tree.
+
+import * as d3 from 'd3';
+import { LAYOUT } from './config';
+
+/**
+ * Finds the attributes that point at another instance of the same class
+ * @param {Object} heap - Heap snapshot of the current step
+ * @param {string} className - Class of the node objects
+ * @returns {Array<string>} - Pointer field names, in attribute order
+ */
+const getPointerFields = (heap, className) => {
+    const fields = [];
+
+    Object.values(heap).forEach(obj => {
+        if (obj.type !== 'instance' || obj.className !== className) return;
+
+        (obj.attributes || []).forEach(attr => {
+            const target = attr.value?.type === 'reference' ? heap[attr.value.id] : null;
+            if (target?.type === 'instance' && target.className === className && !fields.includes(attr.name)) {
+                fields.push(attr.name);
+            }
+        });
+    });
+
+    return fields;
+};
+
+/**
+ * Gets the node a pointer field refers to
+ * @param {Object} node - Instance heap object
+ * @param {string} field - Pointer field name
+ * @returns {string|null} - Heap id of the target, or null for None and missing fields
+ */
+const getPointerTarget = (node, field) => {
+    const attr = (node.attributes || []).find(a => a.name === field);
+    return attr?.value?.type === 'reference' ? attr.value.id : null;
+};
+
+/**
+ * Detects whether an instance is the root of a linked list or tree
+ * @param {Object} heap - Heap snapshot of the current step
+ * @param {string} rootId - Heap id of the candidate root
+ * @returns {Object|null} - {kind, rootId, fields, nodes, edges} or null when it isn't node-shaped
+ */
+export const detectStructure = (heap, rootId) => {
+    const root = heap[rootId];
+    if (root?.type !== 'instance') return null;
+
+    const fields = getPointerFields(heap, root.className);
+    if (fields.length === 0) return null;
+
+    // Breadth-first spanning tree; pointers to nodes already reached are back-edges
+    const nodes = new Map([[rootId, { id: rootId, parent: null, children: [] }]]);
+    const edges = [];
+    const queue = [rootId];
+
+    while (queue.length > 0) {
+        const id = queue.shift();
+        fields.forEach(field => {
+            const targetId = getPointerTarget(heap[id], field);
+            if (!targetId || heap[targetId]?.type !== 'instance') return;
+
+            if (nodes.has(targetId)) {
+                edges.push({ from: id, to: targetId, field, type: 'back' });
+                return;
+            }
+
+            nodes.set(targetId, { id: targetId, parent: id, children: [] });
+            nodes.get(id).children.push(targetId);
+            edges.push({ from: id, to: targetId, field, type: 'tree' });
+            queue.push(targetId);
+        });
+    }
+
+    if (nodes.size < 2) return null;
+
+    // A doubly linked list has two pointer fields, but its prev pointers only lead back to the parent
+    const nodeList = Array.from(nodes.values());
+    const backEdges = edges.filter(edge => edge.type === 'back');
+    const isDoublyLinked = fields.length === 2 &&
+        nodeList.every(node => node.children.length <= 1) &&
+        backEdges.length > 0 &&
+        backEdges.every(edge => nodes.get(edge.from).parent === edge.to);
+
+    return {
+        kind: fields.length === 1 || isDoublyLinked ? 'list' : 'tree',
+        rootId,
+        fields,
+        nodes,
+        edges
+    };
+};
+
+/**
+ * Finds the linked lists and trees that the instances referred to directly belong to, each
+ * detected from its best root: a variable pointing into the middle (cur) is part of the structure
+ * of the one pointing at its start (head). Where candidates reach each other (cycles, doubly
+ * linked lists) the one fewer pointers lead to wins, then the first one
+ * @param {Object} heap - Heap snapshot of the current step
+ * @param {Array<string>} ids - Heap ids referred to directly, in drawing order
+ * @returns {Map<string, Object>} - Heap id of every node -> the structure it is drawn in
+ */
+export const findStructures = (heap, ids) => {
+    const detected = new Map();
+    ids.forEach(id => {
+        const structure = detected.has(id) ? null : detectStructure(heap, id);
+        if (structure) detected.set(id, structure);
+    });
+
+    const getInDegree = (structure, id) => structure.edges.filter(edge => edge.to === id).length;
+    const hasBetterRoot = (id, structure) => Array.from(detected).some(([otherId, other]) =>
+        otherId !== id && other.nodes.has(id) &&
+        (!structure.nodes.has(otherId) || getInDegree(other, otherId) < getInDegree(structure, id)));
+
+    const structures = new Map();
+    detected.forEach((structure, id) => {
+        if (structures.has(id) || hasBetterRoot(id, structure)) return;
+        structure.nodes.forEach((node, nodeId) => {
+            if (!structures.has(nodeId)) structures.set(nodeId, structure);
+        });
+    });
+
+    return structures;
+};
+
+/**
+ * Lays out a linked list as a horizontal chain
+ * @param {Object} structure - Result of detectStructure
+ * @param {Object} anchor - Top-left position of the head node {x, y}
+ * @param {Function} getSize - Returns {width, height} for a heap id
+ * @returns {Map<string, Object>} - Heap id -> top-left position {x, y}
+ */
+const layoutList = (structure, anchor, getSize) => {
+    const positions = new Map();
+    let x = anchor.x;
+    let id = structure.rootId;
+
+    while (id) {
+        positions.set(id, { x, y: anchor.y });
+        x += getSize(id).width + LAYOUT.structure.listGap;
+        id = structure.nodes.get(id).children[0];
+    }
+
+    return positions;
+};
+
+/**
+ * Lays out a tree top-down with d3.tree, keeping room for empty child slots
+ * @param {Object} structure - Result of detectStructure
+ * @param {Object} anchor - Top-left position of the tree's bounding box {x, y}
+ * @param {Function} getSize - Returns {width, height} for a heap id
+ * @param {Object} heap - Heap snapshot of the current step
+ * @returns {Map<string, Object>} - Heap id -> top-left position {x, y}
+ */
+const layoutTree = (structure, anchor, getSize, heap) => {
+    const ids = Array.from(structure.nodes.keys());
+    const nodeWidth = Math.max(...ids.map(id => getSize(id).width));
+    const nodeHeight = Math.max(...ids.map(id => getSize(id).height));
+
+    // Empty slots of an inner node become placeholders so left and right children stay apart
+    const buildHierarchy = (id) => {
+        const node = structure.nodes.get(id);
+        if (node.children.length === 0) return { id };
+
+        return {
+            id,
+            children: structure.fields.map(field => {
+                const targetId = getPointerTarget(heap[id], field);
+                return node.children.includes(targetId) ? buildHierarchy(targetId) : { id: null };
+            })
+        };
+    };
+
+    const root = d3.hierarchy(buildHierarchy(structure.rootId));
+    d3.tree().nodeSize([
+        nodeWidth + LAYOUT.structure.treeGapX,
+        nodeHeight + LAYOUT.structure.treeGapY
+    ])(root);
+
+    // d3.tree centres the root on x = 0; shift so the leftmost node starts at the anchor
+    const placed = root.descendants().filter(node => node.data.id);
+    const minLeft = Math.min(...placed.map(node => node.x - getSize(node.data.id).width / 2));
+
+    const positions = new Map();
+    placed.forEach(node => {
+        positions.set(node.data.id, {
+            x: anchor.x + node.x - getSize(node.data.id).width / 2 - minLeft,
+            y: anchor.y + node.y
+        });
+    });
+
+    return positions;
+};
+
+/**
+ * Computes positions for every node of a detected structure
+ * @param {Object} structure - Result of detectStructure
+ * @param {Object} anchor - Top-left position of the structure {x, y}
+ * @param {Function} getSize - Returns {width, height} for a heap id
+ * @param {Object} heap - Heap snapshot of the current step
+ * @returns {Map<string, Object>} - Heap id -> top-left position {x, y}
+ */
+export const layoutStructure = (structure, anchor, getSize, heap) => {
+    return structure.kind === 'list'
+        ? layoutList(structure, anchor, getSize)
+        : layoutTree(structure, anchor, getSize, heap);
+};
@@ -0,0 +1,95 @@
+// Per-step values of variables, for plotting a variable over the whole run.
+// A numeric variable is plotted by its value and a variable holding a container by its
+// length. Variables of a function are read from its innermost running call, so a
+// recursive function gives one series per variable rather than one per call.
+
+// Numbers as the tracer prints them (ints and floats); bools and inf aren't plotted
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i;
+
+/**
+ * Gets the frames of a step, whichever shape the step has
+ * @param {Object} step - Execution step
+ * @returns {Array} - Frames, global frame first
+ */
+const getFrames = (step) => step?.frames || (step?.frame ? [step.frame] : []);
+
+/**
+ * Reads the number a variable is plotted by
+ * @param {Object} value - Processed value of the variable
+ * @param {Object} heap - Heap snapshot of the step
+ * @returns {Object|null} - {measure: 'value'|'length', number}, or null when the variable can't be plotted
+ */
+const measureValue = (value, heap) => {
+    if (value?.type === 'primitive') {
+        const text = String(value.value);
+        return NUMBER_PATTERN.test(text) ? { measure: 'value', number: Number(text) } : null;
+    }
+
+    const obj = value?.type === 'reference' ? heap?.[value.id] : null;
+    const length = obj?.elements?.length ?? obj?.entries?.length;
+    return length !== undefined ? { measure: 'length', number: length } : null;
+};
+
+/**
+ * Gets the key of a series
+ * @param {string} frameName - Name of the frame holding the variable
+ * @param {string} name - Variable name
+ * @param {string} measure - 'value' or 'length'
+ * @returns {string} - Series key
+ */
+const getSeriesKey = (frameName, name, measure) => JSON.stringify([frameName, name, measure]);
+
+/**
+ * Lists every variable that can be plotted, in the order the variables first appear
+ * @param {Array} steps - Execution steps of the run
+ * @returns {Array<Object>} - {key, label, frameName, isGlobal, name, measure} per series
+ */
+export const listTimelineSeries = (steps) => {
+    const series = new Map();
+
+    (steps || []).forEach(step => {
+        getFrames(step).forEach((frame, depth) => {
+            Object.entries(frame.variables || {}).forEach(([name, value]) => {
+                const measured = measureValue(value, step.heap);
+                if (!measured) return;
+
+                const key = getSeriesKey(frame.name, name, measured.measure);
+                if (series.has(key)) return;
+
+                // Globals go by their name alone, locals are prefixed by their function
+                const plotted = measured.measure === 'length' ? `len(${name})` : name;
+                series.set(key, {
+                    key,
+                    label: depth === 0 ? plotted : `${frame.name}: ${plotted}`,
+                    frameName: frame.name,
+                    isGlobal: depth === 0,
+                    name,
+                    measure: measured.measure
+                });
+            });
+        });
+    });
+
+    return [...series.values()];
+};
+
+/**
+ * Reads a series at every step
+ * @param {Array} steps - Execution steps of the run
+ * @param {Object} series - Series from listTimelineSeries
+ * @returns {Array<number|null>} - Number per step, null where the variable isn't defined or plottable
+ */
+export const getTimelineValues = (steps, series) => {
+    return (steps || []).map(step => {
+        const frames = getFrames(step);
+
+        // The innermost call of the function holds its current value
+        const index = frames.findLastIndex((frame, depth) =>
+            frame.name === series.frameName && (depth === 0) === series.isGlobal &&
+            Object.prototype.hasOwnProperty.call(frame.variables || {}, series.name));
+        if (index < 0) return null;
+
+        const measured = measureValue(frames[index].variables[series.name], step.heap);
+        return measured?.measure === series.measure ? measured.number : null;
+    });
+};
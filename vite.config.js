@@ -2,6 +2,13 @@ import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 import { resolve } from 'path';
 
+// Cross-origin isolation enables SharedArrayBuffer, which input() and Stop rely on
+// to talk to the Pyodide worker. Any production host has to send these headers too.
+const crossOriginIsolationHeaders = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'require-corp',
+};
+
 export default defineConfig({
   plugins: [react()],
   resolve: {
@@ -17,10 +24,13 @@ export default defineConfig({
     port: 3000,                // Use port 3000 instead of 5173
     strictPort: false,         // Allow fallback to another port if 3000 is occupied
     host: true,                // Listen on all addresses
-    headers: {
-      'Cross-Origin-Opener-Policy': 'same-origin',
-      'Cross-Origin-Embedder-Policy': 'require-corp',
-    }
+    headers: crossOriginIsolationHeaders
+  },
+  preview: {
+    headers: crossOriginIsolationHeaders
+  },
+  worker: {
+    format: 'es'               // The Pyodide worker is a module worker
   },
   build: {
     outDir: 'dist',